@@ -2,12 +2,19 @@
 import React from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
+import { GestureHandlerRootView } from 'react-native-gesture-handler'; // Needed for swipe-to-delete in History
 
 // Import your screen components
 import HomeScreen from './screens/HomeScreen';
 import NetPayCalculator from './screens/NetPayCalculator';
 import CalculationResultScreen from './screens/CalculationResultScreen';
 import HistoryScreen from './screens/HistoryScreen'; // New: Import HistoryScreen
+import ComparisonScreen from './screens/ComparisonScreen';
+import BatchPayrollScreen from './screens/BatchPayrollScreen';
+import P9Screen from './screens/P9Screen';
+import FinalDuesScreen from './screens/FinalDuesScreen';
+import ScenarioScreen from './screens/ScenarioScreen';
+import PensionOptimiserScreen from './screens/PensionOptimiserScreen';
 
 // New: Import the HistoryContext provider
 import { HistoryProvider } from './utils/HistoryContext';
@@ -16,55 +23,120 @@ const Stack = createNativeStackNavigator();
 
 export default function App() {
   return (
-    // New: Wrap the entire NavigationContainer with HistoryProvider
-    <HistoryProvider>
-      <NavigationContainer>
-        <Stack.Navigator initialRouteName="Home">
-          <Stack.Screen
-            name="Home"
-            component={HomeScreen}
-            options={{
-              title: 'Welcome',
-              headerStyle: { backgroundColor: '#007bff' },
-              headerTintColor: '#fff',
-              headerTitleStyle: { fontWeight: 'bold' },
-            }}
-          />
-          <Stack.Screen
-            name="NetPayCalculator"
-            component={NetPayCalculator}
-            options={{
-              title: 'PAYE Calculator',
-              headerStyle: { backgroundColor: '#007bff' },
-              headerTintColor: '#fff',
-              headerTitleStyle: { fontWeight: 'bold' },
-            }}
-          />
-          <Stack.Screen
-            name="CalculationResult"
-            component={CalculationResultScreen}
-            options={{
-              title: 'Calculation Summary',
-              headerStyle: { backgroundColor: '#28a745' },
-              headerTintColor: '#fff',
-              headerTitleStyle: { fontWeight: 'bold' },
-              presentation: 'modal', // Makes it pop up like a modal on iOS
-            }}
-          />
-          {/* New: History screen added to the stack */}
-          <Stack.Screen
-            name="History"
-            component={HistoryScreen}
-            options={{
-              title: 'Previous Calculations',
-              headerStyle: { backgroundColor: '#6c757d' }, // Grey header for history
-              headerTintColor: '#fff',
-              headerTitleStyle: { fontWeight: 'bold' },
-            }}
-          />
-          {/* SalaryInputScreen removed as its functionality is integrated into NetPayCalculator */}
-        </Stack.Navigator>
-      </NavigationContainer>
-    </HistoryProvider>
+    // Gesture handlers (History swipe actions) need a root view above all screens
+    <GestureHandlerRootView style={{ flex: 1 }}>
+      {/* New: Wrap the entire NavigationContainer with HistoryProvider */}
+      <HistoryProvider>
+        <NavigationContainer>
+          <Stack.Navigator initialRouteName="Home">
+            <Stack.Screen
+              name="Home"
+              component={HomeScreen}
+              options={{
+                title: 'Welcome',
+                headerStyle: { backgroundColor: '#007bff' },
+                headerTintColor: '#fff',
+                headerTitleStyle: { fontWeight: 'bold' },
+              }}
+            />
+            <Stack.Screen
+              name="NetPayCalculator"
+              component={NetPayCalculator}
+              options={{
+                title: 'PAYE Calculator',
+                headerStyle: { backgroundColor: '#007bff' },
+                headerTintColor: '#fff',
+                headerTitleStyle: { fontWeight: 'bold' },
+              }}
+            />
+            <Stack.Screen
+              name="CalculationResult"
+              component={CalculationResultScreen}
+              options={{
+                title: 'Calculation Summary',
+                headerStyle: { backgroundColor: '#28a745' },
+                headerTintColor: '#fff',
+                headerTitleStyle: { fontWeight: 'bold' },
+                presentation: 'modal', // Makes it pop up like a modal on iOS
+              }}
+            />
+            {/* New: History screen added to the stack */}
+            <Stack.Screen
+              name="History"
+              component={HistoryScreen}
+              options={{
+                title: 'Previous Calculations',
+                headerStyle: { backgroundColor: '#6c757d' }, // Grey header for history
+                headerTintColor: '#fff',
+                headerTitleStyle: { fontWeight: 'bold' },
+              }}
+            />
+            {/* Side-by-side comparison of 2-4 history entries */}
+            <Stack.Screen
+              name="Comparison"
+              component={ComparisonScreen}
+              options={{
+                title: 'Compare Calculations',
+                headerStyle: { backgroundColor: '#6c757d' },
+                headerTintColor: '#fff',
+                headerTitleStyle: { fontWeight: 'bold' },
+              }}
+            />
+            {/* Payroll for many employees from a CSV import */}
+            <Stack.Screen
+              name="BatchPayroll"
+              component={BatchPayrollScreen}
+              options={{
+                title: 'Batch Payroll',
+                headerStyle: { backgroundColor: '#007bff' },
+                headerTintColor: '#fff',
+                headerTitleStyle: { fontWeight: 'bold' },
+              }}
+            />
+            <Stack.Screen
+              name="P9Card"
+              component={P9Screen}
+              options={{
+                title: 'P9A Card',
+                headerStyle: { backgroundColor: '#6c757d' },
+                headerTintColor: '#fff',
+                headerTitleStyle: { fontWeight: 'bold' },
+              }}
+            />
+            <Stack.Screen
+              name="FinalDues"
+              component={FinalDuesScreen}
+              options={{
+                title: 'Final Dues',
+                headerStyle: { backgroundColor: '#fd7e14' },
+                headerTintColor: '#fff',
+                headerTitleStyle: { fontWeight: 'bold' },
+              }}
+            />
+            <Stack.Screen
+              name="Scenarios"
+              component={ScenarioScreen}
+              options={{
+                title: 'Salary Scenarios',
+                headerStyle: { backgroundColor: '#6f42c1' },
+                headerTintColor: '#fff',
+                headerTitleStyle: { fontWeight: 'bold' },
+              }}
+            />
+            <Stack.Screen
+              name="PensionOptimiser"
+              component={PensionOptimiserScreen}
+              options={{
+                title: 'Pension Optimiser',
+                headerStyle: { backgroundColor: '#20c997' },
+                headerTintColor: '#fff',
+                headerTitleStyle: { fontWeight: 'bold' },
+              }}
+            />
+            {/* SalaryInputScreen removed as its functionality is integrated into NetPayCalculator */}
+          </Stack.Navigator>
+        </NavigationContainer>
+      </HistoryProvider>
+    </GestureHandlerRootView>
   );
 }
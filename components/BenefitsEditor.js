@@ -0,0 +1,179 @@
+// components/BenefitsEditor.js
+import React, { useState } from 'react';
+import { View, Text, TextInput, Pressable, StyleSheet } from 'react-native';
+import { Picker } from '@react-native-picker/picker';
+import { Feather } from '@expo/vector-icons';
+
+import { BENEFIT_TYPES } from '../utils/benefitValuation';
+
+// Input labels for each benefit field (see BENEFIT_TYPES for which type uses which)
+const FIELD_LABELS = {
+  cost: 'Initial Cost of Car (Ksh)',
+  engineCc: 'Engine Capacity (cc)',
+  hireCost: 'Monthly Hire Cost (Ksh, if hired)',
+  value: 'Monthly Cost to Employer (Ksh)',
+  principal: 'Loan Balance (Ksh)',
+  employeeRate: 'Interest Charged (% per year)',
+};
+
+let nextItemKey = 1;
+
+/**
+ * Creates an empty editor item of the given type. Field values are kept as strings while editing.
+ *
+ * @param {string} type - Key of BENEFIT_TYPES.
+ * @returns {object} Editor item with a stable `key`.
+ */
+export function createBenefitItem(type) {
+  const item = { key: `benefit-${nextItemKey++}`, type };
+  BENEFIT_TYPES[type].fields.forEach((field) => {
+    item[field] = '';
+  });
+  return item;
+}
+
+/**
+ * Converts editor items to the numeric benefit items calculatePAYE expects.
+ *
+ * @param {Array<object>} items - Editor items.
+ * @returns {Array<object>|null} Parsed items, or null if any field is not a non-negative number.
+ */
+export function parseBenefitItems(items) {
+  const parsed = [];
+  for (const item of items) {
+    const parsedItem = { type: item.type };
+    for (const field of BENEFIT_TYPES[item.type].fields) {
+      const value = parseFloat(item[field] || '0');
+      if (isNaN(value) || value < 0) return null;
+      parsedItem[field] = value;
+    }
+    parsed.push(parsedItem);
+  }
+  return parsed;
+}
+
+/**
+ * List editor for itemised non-cash benefits.
+ *
+ * @param {object} props
+ * @param {Array<object>} props.items - Editor items (see createBenefitItem).
+ * @param {Function} props.onChange - Called with the updated items array.
+ */
+export default function BenefitsEditor({ items, onChange }) {
+  const [newType, setNewType] = useState('car');
+
+  const updateField = (key, field, text) => {
+    onChange(items.map((item) => (item.key === key ? { ...item, [field]: text } : item)));
+  };
+
+  return (
+    <View>
+      {items.map((item) => (
+        <View key={item.key} style={styles.card}>
+          <View style={styles.cardHeader}>
+            <Text style={styles.cardTitle}>{BENEFIT_TYPES[item.type].label}</Text>
+            <Pressable onPress={() => onChange(items.filter((other) => other.key !== item.key))} hitSlop={10}>
+              <Feather name="trash-2" size={18} color="#dc3545" />
+            </Pressable>
+          </View>
+          {BENEFIT_TYPES[item.type].fields.map((field) => (
+            <View key={field}>
+              <Text style={styles.fieldLabel}>{FIELD_LABELS[field]}</Text>
+              <TextInput
+                style={styles.input}
+                value={item[field]}
+                onChangeText={(text) => updateField(item.key, field, text)}
+                keyboardType="numeric"
+                placeholder="0"
+              />
+            </View>
+          ))}
+        </View>
+      ))}
+
+      <View style={styles.addRow}>
+        <View style={styles.pickerWrapper}>
+          <Picker selectedValue={newType} onValueChange={setNewType} style={styles.picker}>
+            {Object.entries(BENEFIT_TYPES).map(([type, { label }]) => (
+              <Picker.Item key={type} label={label} value={type} />
+            ))}
+          </Picker>
+        </View>
+        <Pressable
+          style={({ pressed }) => [styles.addButton, pressed && { opacity: 0.8 }]}
+          onPress={() => onChange([...items, createBenefitItem(newType)])}
+        >
+          <Feather name="plus" size={18} color="#fff" />
+          <Text style={styles.addButtonText}>Add</Text>
+        </Pressable>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    borderWidth: 1,
+    borderColor: '#e3e8ee',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+    backgroundColor: '#f8fafc',
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#2c3e50',
+  },
+  fieldLabel: {
+    fontSize: 14,
+    color: '#555',
+    marginBottom: 4,
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 10,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    marginBottom: 10,
+    fontSize: 16,
+  },
+  addRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  pickerWrapper: {
+    flex: 1,
+    backgroundColor: '#fff',
+    borderColor: '#ccc',
+    borderWidth: 1,
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  picker: {
+    height: 50,
+    width: '100%',
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#28a745',
+    paddingVertical: 12,
+    paddingHorizontal: 15,
+    borderRadius: 8,
+    marginLeft: 10,
+  },
+  addButtonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+    marginLeft: 5,
+  },
+});
@@ -0,0 +1,168 @@
+// components/DeductionsEditor.js
+import React, { useState } from 'react';
+import { View, Text, TextInput, Pressable, StyleSheet } from 'react-native';
+import { Picker } from '@react-native-picker/picker';
+import { Feather } from '@expo/vector-icons';
+
+import { POST_TAX_DEDUCTION_TYPES } from '../utils/payeLogic';
+
+let nextItemKey = 1;
+
+/**
+ * Creates an empty editor item of the given type. Field values are kept as strings while editing.
+ *
+ * @param {string} type - Key of POST_TAX_DEDUCTION_TYPES.
+ * @returns {object} Editor item with a stable `key`.
+ */
+export function createDeductionItem(type) {
+  return { key: `deduction-${nextItemKey++}`, type, amount: '', description: '' };
+}
+
+/**
+ * Converts editor items to the post-tax deductions calculatePAYE expects.
+ *
+ * @param {Array<object>} items - Editor items.
+ * @returns {Array<object>|null} Parsed items, or null if an amount is not a non-negative number.
+ */
+export function parseDeductionItems(items) {
+  const parsed = [];
+  for (const item of items) {
+    const amount = parseFloat(item.amount || '0');
+    if (isNaN(amount) || amount < 0) return null;
+    const deduction = { type: item.type, amount };
+    if (item.description.trim() !== '') deduction.description = item.description.trim();
+    parsed.push(deduction);
+  }
+  return parsed;
+}
+
+/**
+ * List editor for post-tax deductions (court orders, HELB, union dues, SACCO loans, advances).
+ * Items are shown as entered; calculatePAYE applies them in priority order.
+ *
+ * @param {object} props
+ * @param {Array<object>} props.items - Editor items (see createDeductionItem).
+ * @param {Function} props.onChange - Called with the updated items array.
+ */
+export default function DeductionsEditor({ items, onChange }) {
+  const [newType, setNewType] = useState('sacco');
+
+  const updateField = (key, field, text) => {
+    onChange(items.map((item) => (item.key === key ? { ...item, [field]: text } : item)));
+  };
+
+  return (
+    <View>
+      {items.map((item) => (
+        <View key={item.key} style={styles.card}>
+          <View style={styles.cardHeader}>
+            <Text style={styles.cardTitle}>{POST_TAX_DEDUCTION_TYPES[item.type].label}</Text>
+            <Pressable onPress={() => onChange(items.filter((other) => other.key !== item.key))} hitSlop={10}>
+              <Feather name="trash-2" size={18} color="#dc3545" />
+            </Pressable>
+          </View>
+          <Text style={styles.fieldLabel}>Amount (Ksh)</Text>
+          <TextInput
+            style={styles.input}
+            value={item.amount}
+            onChangeText={(text) => updateField(item.key, 'amount', text)}
+            keyboardType="numeric"
+            placeholder="0"
+          />
+          <Text style={styles.fieldLabel}>Description (optional)</Text>
+          <TextInput
+            style={styles.input}
+            value={item.description}
+            onChangeText={(text) => updateField(item.key, 'description', text)}
+            placeholder="e.g. Stima SACCO"
+            maxLength={40}
+          />
+        </View>
+      ))}
+
+      <View style={styles.addRow}>
+        <View style={styles.pickerWrapper}>
+          <Picker selectedValue={newType} onValueChange={setNewType} style={styles.picker}>
+            {Object.entries(POST_TAX_DEDUCTION_TYPES).map(([type, { label }]) => (
+              <Picker.Item key={type} label={label} value={type} />
+            ))}
+          </Picker>
+        </View>
+        <Pressable
+          style={({ pressed }) => [styles.addButton, pressed && { opacity: 0.8 }]}
+          onPress={() => onChange([...items, createDeductionItem(newType)])}
+        >
+          <Feather name="plus" size={18} color="#fff" />
+          <Text style={styles.addButtonText}>Add</Text>
+        </Pressable>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    borderWidth: 1,
+    borderColor: '#e3e8ee',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+    backgroundColor: '#f8fafc',
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#2c3e50',
+  },
+  fieldLabel: {
+    fontSize: 14,
+    color: '#555',
+    marginBottom: 4,
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 10,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    marginBottom: 10,
+    fontSize: 16,
+  },
+  addRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  pickerWrapper: {
+    flex: 1,
+    backgroundColor: '#fff',
+    borderColor: '#ccc',
+    borderWidth: 1,
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  picker: {
+    height: 50,
+    width: '100%',
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#28a745',
+    paddingVertical: 12,
+    paddingHorizontal: 15,
+    borderRadius: 8,
+    marginLeft: 10,
+  },
+  addButtonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+    marginLeft: 5,
+  },
+});
@@ -0,0 +1,200 @@
+// components/EarningsEditor.js
+import React, { useState } from 'react';
+import { View, Text, TextInput, Pressable, StyleSheet } from 'react-native';
+import { Picker } from '@react-native-picker/picker';
+import { Feather } from '@expo/vector-icons';
+
+import { EARNING_TYPES } from '../utils/payeLogic';
+
+let nextItemKey = 1;
+
+/**
+ * Creates an empty editor item of the given type. Field values are kept as strings while editing.
+ *
+ * @param {string} type - Key of EARNING_TYPES.
+ * @returns {object} Editor item with a stable `key`.
+ */
+export function createEarningItem(type) {
+  return { key: `earning-${nextItemKey++}`, type, amount: '', fromPeriod: '', toPeriod: '', originalGrossPay: '' };
+}
+
+/**
+ * Converts editor items to the earnings calculatePAYE expects. Pay periods are passed through as typed;
+ * calculatePAYE reports any that are invalid.
+ *
+ * @param {Array<object>} items - Editor items.
+ * @returns {Array<object>|null} Parsed items, or null if an amount is not a non-negative number.
+ */
+export function parseEarningItems(items) {
+  const parsed = [];
+  for (const item of items) {
+    const amount = parseFloat(item.amount || '0');
+    if (isNaN(amount) || amount < 0) return null;
+    const earning = { type: item.type, amount };
+
+    if (EARNING_TYPES[item.type].spread) {
+      earning.fromPeriod = item.fromPeriod.trim();
+      earning.toPeriod = item.toPeriod.trim();
+      // Blank means the months were paid at the current basic pay
+      if (item.originalGrossPay !== '') {
+        const originalGrossPay = parseFloat(item.originalGrossPay);
+        if (isNaN(originalGrossPay) || originalGrossPay < 0) return null;
+        earning.originalGrossPay = originalGrossPay;
+      }
+    }
+    parsed.push(earning);
+  }
+  return parsed;
+}
+
+const Field = ({ label, value, onChangeText, keyboardType = 'numeric', placeholder = '0' }) => (
+  <View>
+    <Text style={styles.fieldLabel}>{label}</Text>
+    <TextInput
+      style={styles.input}
+      value={value}
+      onChangeText={onChangeText}
+      keyboardType={keyboardType}
+      placeholder={placeholder}
+    />
+  </View>
+);
+
+/**
+ * List editor for irregular earnings (overtime, commission, bonus, leave pay, arrears).
+ *
+ * @param {object} props
+ * @param {Array<object>} props.items - Editor items (see createEarningItem).
+ * @param {Function} props.onChange - Called with the updated items array.
+ */
+export default function EarningsEditor({ items, onChange }) {
+  const [newType, setNewType] = useState('overtime');
+
+  const updateField = (key, field, text) => {
+    onChange(items.map((item) => (item.key === key ? { ...item, [field]: text } : item)));
+  };
+
+  return (
+    <View>
+      {items.map((item) => (
+        <View key={item.key} style={styles.card}>
+          <View style={styles.cardHeader}>
+            <Text style={styles.cardTitle}>{EARNING_TYPES[item.type].label}</Text>
+            <Pressable onPress={() => onChange(items.filter((other) => other.key !== item.key))} hitSlop={10}>
+              <Feather name="trash-2" size={18} color="#dc3545" />
+            </Pressable>
+          </View>
+          <Field label="Amount (Ksh)" value={item.amount} onChangeText={(text) => updateField(item.key, 'amount', text)} />
+          {EARNING_TYPES[item.type].spread && (
+            <>
+              <Field
+                label="Relates From (YYYY-MM)"
+                value={item.fromPeriod}
+                onChangeText={(text) => updateField(item.key, 'fromPeriod', text)}
+                keyboardType="numbers-and-punctuation"
+                placeholder="e.g. 2024-11"
+              />
+              <Field
+                label="Relates To (YYYY-MM)"
+                value={item.toPeriod}
+                onChangeText={(text) => updateField(item.key, 'toPeriod', text)}
+                keyboardType="numbers-and-punctuation"
+                placeholder="e.g. 2025-01"
+              />
+              <Field
+                label="Gross Pay Originally Paid in Those Months (Ksh)"
+                value={item.originalGrossPay}
+                onChangeText={(text) => updateField(item.key, 'originalGrossPay', text)}
+                placeholder="Same as gross pay"
+              />
+            </>
+          )}
+        </View>
+      ))}
+
+      <View style={styles.addRow}>
+        <View style={styles.pickerWrapper}>
+          <Picker selectedValue={newType} onValueChange={setNewType} style={styles.picker}>
+            {Object.entries(EARNING_TYPES).map(([type, { label }]) => (
+              <Picker.Item key={type} label={label} value={type} />
+            ))}
+          </Picker>
+        </View>
+        <Pressable
+          style={({ pressed }) => [styles.addButton, pressed && { opacity: 0.8 }]}
+          onPress={() => onChange([...items, createEarningItem(newType)])}
+        >
+          <Feather name="plus" size={18} color="#fff" />
+          <Text style={styles.addButtonText}>Add</Text>
+        </Pressable>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    borderWidth: 1,
+    borderColor: '#e3e8ee',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+    backgroundColor: '#f8fafc',
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#2c3e50',
+  },
+  fieldLabel: {
+    fontSize: 14,
+    color: '#555',
+    marginBottom: 4,
+  },
+  input: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 10,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    marginBottom: 10,
+    fontSize: 16,
+  },
+  addRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  pickerWrapper: {
+    flex: 1,
+    backgroundColor: '#fff',
+    borderColor: '#ccc',
+    borderWidth: 1,
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  picker: {
+    height: 50,
+    width: '100%',
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#28a745',
+    paddingVertical: 12,
+    paddingHorizontal: 15,
+    borderRadius: 8,
+    marginLeft: 10,
+  },
+  addButtonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+    marginLeft: 5,
+  },
+});
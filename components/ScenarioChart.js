@@ -0,0 +1,191 @@
+// components/ScenarioChart.js
+import React from 'react';
+import { View, Text, Pressable, StyleSheet } from 'react-native';
+
+const CHART_HEIGHT = 180;
+const DOT_SIZE = 8;
+
+/**
+ * Column chart built from plain views, one column per point.
+ *
+ * Series of kind 'bar' are drawn as bars (stacked on top of each other when `stacked` is set); series of kind 'dot'
+ * as a marker at their value. Markers are vertical lines at a position across the chart (0 = left edge, 1 = right edge).
+ *
+ * @param {object} props
+ * @param {Array<object>} props.points - Data points; each series reads its value from `point[series.key]`.
+ * @param {Array<{key: string, label: string, color: string, kind?: 'bar'|'dot'}>} props.series - Series to draw, bottom first.
+ * @param {boolean} [props.stacked=false] - Stack the bar series instead of overlapping them.
+ * @param {number} props.maxValue - Value at the top of the chart.
+ * @param {function} props.formatValue - Formats axis values.
+ * @param {Array<string>} [props.xLabels] - Labels under the first and last column.
+ * @param {Array<{position: number, label: string}>} [props.markers] - Vertical marker lines.
+ * @param {function} [props.onPressPoint] - Called with the point's index when a column is tapped.
+ */
+export default function ScenarioChart({ points, series, stacked = false, maxValue, formatValue, xLabels = [], markers = [], onPressPoint }) {
+  const heightOf = (value) => (maxValue > 0 ? Math.max(0, Math.min(value / maxValue, 1)) * CHART_HEIGHT : 0);
+  const bars = series.filter((item) => item.kind !== 'dot');
+  const dots = series.filter((item) => item.kind === 'dot');
+
+  return (
+    <View>
+      <View style={styles.chartRow}>
+        <View style={styles.axis}>
+          <Text style={styles.axisText}>{formatValue(maxValue)}</Text>
+          <Text style={styles.axisText}>{formatValue(0)}</Text>
+        </View>
+
+        <View style={styles.plot}>
+          {points.map((point, index) => (
+            <Pressable
+              key={index}
+              style={({ pressed }) => [styles.column, pressed && styles.columnPressed]}
+              onPress={() => onPressPoint && onPressPoint(index)}
+            >
+              {stacked ? (
+                <View style={styles.stack}>
+                  {/* column-reverse puts the first series at the bottom */}
+                  {bars.map((item) => (
+                    <View key={item.key} style={[styles.bar, { height: heightOf(point[item.key]), backgroundColor: item.color }]} />
+                  ))}
+                </View>
+              ) : (
+                bars.map((item) => (
+                  <View
+                    key={item.key}
+                    style={[styles.bar, styles.overlayBar, { height: heightOf(point[item.key]), backgroundColor: item.color }]}
+                  />
+                ))
+              )}
+              {dots.map((item) => (
+                <View
+                  key={item.key}
+                  style={[styles.dot, { bottom: heightOf(point[item.key]) - DOT_SIZE / 2, backgroundColor: item.color }]}
+                />
+              ))}
+            </Pressable>
+          ))}
+
+          {markers.map((marker) => (
+            <View key={marker.label} pointerEvents="none" style={[styles.marker, { left: `${marker.position * 100}%` }]}>
+              <Text style={styles.markerText}>{marker.label}</Text>
+            </View>
+          ))}
+        </View>
+      </View>
+
+      {xLabels.length > 0 && (
+        <View style={styles.xLabels}>
+          <Text style={styles.axisText}>{xLabels[0]}</Text>
+          <Text style={styles.axisText}>{xLabels[xLabels.length - 1]}</Text>
+        </View>
+      )}
+
+      <View style={styles.legend}>
+        {series.map((item) => (
+          <View key={item.key} style={styles.legendItem}>
+            <View style={[item.kind === 'dot' ? styles.legendDot : styles.legendSwatch, { backgroundColor: item.color }]} />
+            <Text style={styles.legendText}>{item.label}</Text>
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  chartRow: {
+    flexDirection: 'row',
+  },
+  axis: {
+    width: 56,
+    height: CHART_HEIGHT,
+    justifyContent: 'space-between',
+    paddingRight: 4,
+  },
+  axisText: {
+    fontSize: 11,
+    color: '#6c757d',
+  },
+  plot: {
+    flex: 1,
+    height: CHART_HEIGHT,
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    borderLeftWidth: 1,
+    borderBottomWidth: 1,
+    borderColor: '#ccc',
+  },
+  column: {
+    flex: 1,
+    height: '100%',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+  },
+  columnPressed: {
+    backgroundColor: '#e9ecef',
+  },
+  stack: {
+    width: '70%',
+    flexDirection: 'column-reverse',
+  },
+  bar: {
+    width: '100%',
+  },
+  overlayBar: {
+    width: '70%',
+    position: 'absolute',
+    bottom: 0,
+  },
+  dot: {
+    position: 'absolute',
+    width: DOT_SIZE,
+    height: DOT_SIZE,
+    borderRadius: DOT_SIZE / 2,
+  },
+  marker: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    borderLeftWidth: 1,
+    borderLeftColor: '#6f42c1',
+  },
+  markerText: {
+    fontSize: 10,
+    color: '#6f42c1',
+    marginLeft: 2,
+    width: 70,
+  },
+  xLabels: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginLeft: 56,
+    marginTop: 4,
+  },
+  legend: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginTop: 8,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 8,
+    marginVertical: 2,
+  },
+  legendSwatch: {
+    width: 12,
+    height: 12,
+    marginRight: 5,
+  },
+  legendDot: {
+    width: DOT_SIZE,
+    height: DOT_SIZE,
+    borderRadius: DOT_SIZE / 2,
+    marginRight: 5,
+  },
+  legendText: {
+    fontSize: 12,
+    color: '#333',
+  },
+});
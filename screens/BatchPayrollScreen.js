@@ -0,0 +1,391 @@
+// screens/BatchPayrollScreen.js
+import React, { useState } from 'react';
+import { View, Text, TextInput, ScrollView, Pressable, StyleSheet, Alert, ActivityIndicator } from 'react-native';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import { Feather } from '@expo/vector-icons';
+
+import {
+  BATCH_TEMPLATE_CSV,
+  parseEmployeeCSV,
+  runBatchPayroll,
+  summarisePayroll,
+  buildPayrollRegisterCSV,
+} from '../utils/batchPayroll';
+import { getTaxRules, formatPayPeriod } from '../utils/taxRules';
+import { buildP10Return } from '../utils/p10Export';
+import { shareTextFile } from '../utils/shareFile';
+
+const CSV_SHARE_OPTIONS = { mimeType: 'text/csv', UTI: 'public.comma-separated-values-text' };
+
+export default function BatchPayrollScreen({ navigation }) {
+  const [payPeriod, setPayPeriod] = useState(formatPayPeriod(new Date()));
+  const [fileName, setFileName] = useState('');
+  const [employees, setEmployees] = useState([]); // Valid rows from the imported file
+  const [importErrors, setImportErrors] = useState([]); // Row/column problems found while reading the file
+  const [run, setRun] = useState(null); // { results, errors } from runBatchPayroll
+  const [loading, setLoading] = useState(false);
+
+  // Runs every imported employee for the pay period; returns false if the period is invalid
+  const runPayroll = (rows) => {
+    try {
+      getTaxRules(payPeriod);
+    } catch (err) {
+      Alert.alert('Invalid Pay Period', err.message);
+      return false;
+    }
+    setRun(runBatchPayroll(rows, payPeriod));
+    return true;
+  };
+
+  const handleImport = async () => {
+    try {
+      const picked = await DocumentPicker.getDocumentAsync({
+        type: ['text/csv', 'text/comma-separated-values', 'text/plain'],
+        copyToCacheDirectory: true,
+      });
+      if (picked.canceled) return;
+
+      setLoading(true);
+      const [file] = picked.assets;
+      const text = await FileSystem.readAsStringAsync(file.uri, { encoding: FileSystem.EncodingType.UTF8 });
+      const parsed = parseEmployeeCSV(text);
+      setFileName(file.name);
+      setEmployees(parsed.employees);
+      setImportErrors(parsed.errors);
+      setRun(null);
+      runPayroll(parsed.employees);
+    } catch (error) {
+      console.error('CSV import error:', error);
+      Alert.alert('Error', 'Failed to read the CSV file.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleShareTemplate = async () => {
+    try {
+      await shareTextFile('PayrollTemplate.csv', BATCH_TEMPLATE_CSV, CSV_SHARE_OPTIONS);
+    } catch (error) {
+      console.error('Template share error:', error);
+      Alert.alert('Error', 'Failed to download or share the file.');
+    }
+  };
+
+  const handleExportRegister = async () => {
+    try {
+      await shareTextFile(`PayrollRegister-${payPeriod}.csv`, buildPayrollRegisterCSV(run.results), {
+        ...CSV_SHARE_OPTIONS,
+        dialogTitle: 'Share payroll register',
+      });
+    } catch (error) {
+      console.error('Register export error:', error);
+      Alert.alert('Error', 'Failed to download or share the file.');
+    }
+  };
+
+  // KRA P10 return: refuse to export a file iTax would reject, and confirm any rows left out
+  const handleExportP10 = () => {
+    const p10 = buildP10Return(run.results);
+    if (!p10.csv) {
+      Alert.alert('P10 Not Ready', p10.errors.join('\n'));
+      return;
+    }
+
+    const share = async () => {
+      try {
+        await shareTextFile(`P10-${payPeriod}.csv`, p10.csv, { ...CSV_SHARE_OPTIONS, dialogTitle: 'Share P10 return' });
+      } catch (error) {
+        console.error('P10 export error:', error);
+        Alert.alert('Error', 'Failed to download or share the file.');
+      }
+    };
+    const summaryText = `${p10.totals.employees} employees, gross Ksh ${p10.totals.grossPay.toFixed(2)}, PAYE Ksh ${p10.totals.paye.toFixed(2)}.`;
+    Alert.alert('Export P10', [summaryText, ...p10.warnings].join('\n\n'), [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Export', onPress: share },
+    ]);
+  };
+
+  const errors = [...importErrors, ...(run ? run.errors : [])].sort((a, b) => (a.row ?? 0) - (b.row ?? 0));
+  const summary = run ? summarisePayroll(run.results) : null;
+
+  return (
+    <ScrollView contentContainerStyle={styles.scrollViewContent}>
+      <View style={styles.container}>
+        <Text style={styles.title}>Batch Payroll</Text>
+        <Text style={styles.subtitle}>
+          Import a CSV with one employee per row. Use the template for the column names; only grossPay is required.
+        </Text>
+
+        <Text style={styles.label}>Pay Period (YYYY-MM)</Text>
+        <TextInput
+          style={styles.input}
+          value={payPeriod}
+          onChangeText={setPayPeriod}
+          keyboardType="numbers-and-punctuation"
+          placeholder="e.g. 2025-03"
+        />
+
+        <View style={styles.buttonRow}>
+          <Pressable
+            style={({ pressed }) => [styles.button, styles.importButton, pressed && { opacity: 0.8 }]}
+            onPress={handleImport}
+            disabled={loading}
+          >
+            {loading ? <ActivityIndicator color="#fff" /> : <Feather name="upload" size={18} color="#fff" />}
+            <Text style={styles.buttonText}> Import CSV</Text>
+          </Pressable>
+          <Pressable
+            style={({ pressed }) => [styles.button, styles.templateButton, pressed && { opacity: 0.8 }]}
+            onPress={handleShareTemplate}
+          >
+            <Feather name="file-text" size={18} color="#fff" />
+            <Text style={styles.buttonText}> Template</Text>
+          </Pressable>
+        </View>
+
+        {fileName !== '' && (
+          <View style={styles.fileRow}>
+            <Text style={styles.fileText}>
+              {fileName}: {employees.length} valid row{employees.length === 1 ? '' : 's'}
+            </Text>
+            <Pressable onPress={() => runPayroll(employees)}>
+              <Text style={styles.linkText}>Recalculate</Text>
+            </Pressable>
+          </View>
+        )}
+
+        {/* Rows that failed validation or calculation */}
+        {errors.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionHeader}>
+              {errors.length} Problem{errors.length === 1 ? '' : 's'} Found
+            </Text>
+            {errors.map((error, index) => (
+              <Text key={index} style={styles.errorText}>
+                {error.row !== null ? `Row ${error.row}` : 'File'}
+                {error.column ? `, column "${error.column}"` : ''}: {error.message}
+              </Text>
+            ))}
+          </View>
+        )}
+
+        {summary && summary.employees > 0 && (
+          <>
+            <View style={styles.section}>
+              <Text style={styles.sectionHeader}>Payroll Summary ({summary.employees} employees)</Text>
+              {summary.warnings.map((warning) => (
+                <Text key={warning} style={styles.warningText}>{warning}</Text>
+              ))}
+              {summary.groups.map((group) => (
+                <View key={group.payFrequency.key}>
+                  {summary.groups.length > 1 && (
+                    <Text style={styles.groupHeader}>
+                      {group.payFrequency.label} Pay ({group.employees} employees)
+                    </Text>
+                  )}
+                  {group.totals.map((total) => (
+                    <View key={total.label} style={styles.resultRow}>
+                      <Text style={styles.resultLabel}>{total.label}</Text>
+                      <Text style={styles.resultValue}>Ksh {total.amount.toFixed(2)}</Text>
+                    </View>
+                  ))}
+                </View>
+              ))}
+            </View>
+
+            <View style={styles.section}>
+              <Text style={styles.sectionHeader}>Employees</Text>
+              {run.results.map(({ row, name, result }) => (
+                <Pressable
+                  key={row}
+                  style={({ pressed }) => [styles.employeeRow, pressed && { backgroundColor: '#f0f4f8' }]}
+                  onPress={() => navigation.navigate('CalculationResult', { result: { ...result, label: name } })}
+                >
+                  <Text style={styles.employeeName}>{name}</Text>
+                  <Text style={styles.employeeNet}>Net Ksh {result.netPay.toFixed(2)}</Text>
+                </Pressable>
+              ))}
+            </View>
+
+            <Pressable
+              style={({ pressed }) => [styles.button, styles.exportButton, pressed && { opacity: 0.8 }]}
+              onPress={handleExportRegister}
+            >
+              <Feather name="download" size={18} color="#fff" />
+              <Text style={styles.buttonText}> Export Payroll Register</Text>
+            </Pressable>
+            <Pressable
+              style={({ pressed }) => [styles.button, styles.p10Button, pressed && { opacity: 0.8 }]}
+              onPress={handleExportP10}
+            >
+              <Feather name="file" size={18} color="#fff" />
+              <Text style={styles.buttonText}> Export KRA P10</Text>
+            </Pressable>
+          </>
+        )}
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  scrollViewContent: {
+    flexGrow: 1,
+    alignItems: 'center',
+    backgroundColor: '#f0f4f8',
+    paddingVertical: 20,
+  },
+  container: {
+    width: '95%',
+    maxWidth: 600,
+    backgroundColor: '#ffffff',
+    borderRadius: 15,
+    padding: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.2,
+    shadowRadius: 10,
+    elevation: 15,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 5,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6c757d',
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    color: '#333',
+    marginBottom: 8,
+    fontWeight: '600',
+  },
+  input: {
+    backgroundColor: '#f9f9f9',
+    borderRadius: 8,
+    padding: 12,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    marginBottom: 15,
+    fontSize: 16,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  button: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+    borderRadius: 8,
+    marginHorizontal: 4,
+  },
+  importButton: {
+    backgroundColor: '#007bff',
+  },
+  templateButton: {
+    backgroundColor: '#6c757d',
+  },
+  exportButton: {
+    flex: 0,
+    backgroundColor: '#17a2b8',
+    marginTop: 10,
+  },
+  p10Button: {
+    flex: 0,
+    backgroundColor: '#28a745',
+    marginTop: 10,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  fileRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 15,
+  },
+  fileText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#555',
+  },
+  linkText: {
+    color: '#007bff',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  section: {
+    marginTop: 20,
+    paddingBottom: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  sectionHeader: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#34495e',
+    marginBottom: 10,
+  },
+  errorText: {
+    color: '#dc3545',
+    fontSize: 14,
+    marginBottom: 4,
+  },
+  warningText: {
+    color: '#fd7e14',
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  groupHeader: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginTop: 10,
+    marginBottom: 4,
+  },
+  resultRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  resultLabel: {
+    fontSize: 15,
+    color: '#555',
+  },
+  resultValue: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  employeeRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  employeeName: {
+    fontSize: 15,
+    color: '#2c3e50',
+  },
+  employeeNet: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#28a745',
+  },
+});
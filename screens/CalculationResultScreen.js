@@ -1,11 +1,19 @@
-import React from 'react';
-import { View, Text, ScrollView, StyleSheet, Pressable, Alert } from 'react-native';
-import * as FileSystem from 'expo-file-system';
+import React, { useState } from 'react';
+import { View, Text, TextInput, ScrollView, StyleSheet, Pressable, Alert, Modal } from 'react-native';
+import * as Print from 'expo-print';
 import * as Sharing from 'expo-sharing';
 import { Feather } from '@expo/vector-icons';
+import { shareTextFile } from '../utils/shareFile';
+import { buildPayslipHtml, PAYSLIP_CONFIG } from '../utils/payslipTemplate';
 
 export default function CalculationResultScreen({ route, navigation }) {
   const { result } = route.params;
+  const [view, setView] = useState('employee'); // 'employee' or 'employer' (cost-to-company) view
+  // Payslip details asked for before printing
+  const [showPayslipForm, setShowPayslipForm] = useState(false);
+  const [showTrace, setShowTrace] = useState(false); // "How was this calculated?" section
+  const [employerName, setEmployerName] = useState(PAYSLIP_CONFIG.companyName);
+  const [employeeName, setEmployeeName] = useState(result?.label || '');
 
   if (!result) {
     return (
@@ -21,6 +29,12 @@ export default function CalculationResultScreen({ route, navigation }) {
     );
   }
 
+  // Results from before the SHIF switch-over only carry `nhif`
+  const healthLabel = result.healthScheme || 'NHIF';
+  const healthContribution = result.healthScheme === 'SHIF' ? result.shif : result.nhif;
+  // Casual workers and consultants have withholding tax deducted instead of PAYE
+  const taxLabel = ['casual', 'consultant'].includes(result.taxRegime?.status) ? 'Withholding Tax' : 'PAYE';
+
   const ResultRow = ({ label, value, highlight = false, isTotal = false }) => (
     <View style={[styles.resultRow, isTotal && styles.totalResultRow]}>
       <Text style={[styles.resultLabel, highlight && styles.resultLabelHighlight]}>{label}</Text>
@@ -35,67 +49,358 @@ export default function CalculationResultScreen({ route, navigation }) {
       const content = `
 NET PAY CALCULATION SUMMARY
 
-Gross Pay: Ksh ${result.grossPay?.toFixed(2)}
-PAYE: Ksh ${result.paye?.toFixed(2)}
-NSSF: Ksh ${result.nssf?.toFixed(2)}
-NHIF: Ksh ${result.nhif?.toFixed(2)}
+Gross Pay: Ksh ${result.grossPay?.toFixed(2)}${result.targetNetPay !== undefined ? ` (solved for target net pay Ksh ${result.targetNetPay.toFixed(2)}${result.netPayGap ? `; not reachable exactly, nearest net pay Ksh ${result.netPayGap.netAbove.toFixed(2)}` : ''})` : ''}
+${taxLabel}: Ksh ${result.paye?.toFixed(2)}
+${result.nssfTier1 !== undefined
+  ? `NSSF Tier I: Ksh ${result.nssfTier1.toFixed(2)}\nNSSF Tier II: Ksh ${result.nssfTier2.toFixed(2)}`
+  : `NSSF: Ksh ${result.nssf?.toFixed(2)}`}
+${healthLabel}: Ksh ${healthContribution?.toFixed(2)}
 Housing Levy (AHL): Ksh ${result.ahl?.toFixed(2)}
 Pension Contribution: Ksh ${result.pension?.toFixed(2)}
 Other Deductions: Ksh ${result.allowableDeductions?.toFixed(2)}
+${(result.postTaxDeductions || [])
+  .map((deduction) => `${deduction.label}: Ksh ${deduction.honoured.toFixed(2)}${deduction.shortfall > 0 ? ` (Ksh ${deduction.shortfall.toFixed(2)} not deducted, below minimum take-home)` : ''}`)
+  .join('\n')}
 
 Total Deductions: Ksh ${result.totalDeductions?.toFixed(2)}
 Net Pay: Ksh ${result.netPay?.toFixed(2)}
 
-Taxable Pay: Ksh ${result.taxableIncome?.toFixed(2)}
-Personal Relief: Ksh 2400.00
+${result.minimumWage?.order ? `Minimum Wage: Ksh ${result.minimumWage.minimum.toFixed(2)} for ${result.minimumWage.occupation}, ${result.minimumWage.area} (${result.minimumWage.order.name})${result.minimumWage.belowMinimum ? ` - basic pay is Ksh ${result.minimumWage.shortfall.toFixed(2)} below it` : ''}\n` : ''}Taxable Pay: Ksh ${result.taxableIncome?.toFixed(2)}
+Personal Relief: Ksh ${(result.personalReliefUsed ?? 2400).toFixed(2)}
+${(result.earnings || [])
+  .map((earning) => `${earning.label}: Ksh ${earning.amount.toFixed(2)} (extra tax Ksh ${earning.extraTax.toFixed(2)})${(earning.months || [])
+    .map((month) => `\n  ${month.payPeriod}: Ksh ${month.amount.toFixed(2)}, tax Ksh ${month.extraTax.toFixed(2)} (${month.ruleSet.name})`)
+    .join('')}`)
+  .join('\n')}
+${(result.benefitItems || [])
+  .map((item) => `${item.label}: Ksh ${item.taxableValue.toFixed(2)} taxable${item.fringeBenefit !== undefined ? ` (fringe benefit Ksh ${item.fringeBenefit.toFixed(2)}, employer FBT Ksh ${item.fringeBenefitTax.toFixed(2)})` : ''} - ${item.explanation}`)
+  .join('\n')}
+${result.housingBenefit ? `Housing Benefit (${result.housingBenefit.housingTypeLabel}): Ksh ${result.housingBenefit.value.toFixed(2)} - ${result.housingBenefit.explanation}` : ''}
+${(result.reliefsAndDeductions || [])
+  .filter((item) => item.key !== 'personalRelief')
+  .map((item) => `${item.label}: Ksh ${item.allowed.toFixed(2)}${item.disallowed > 0 ? ` (Ksh ${item.disallowed.toFixed(2)} ${item.kind === 'relief' ? 'not used' : 'disallowed'})` : ''}`)
+  .join('\n')}
+${result.employerCost ? `
+EMPLOYER COST
+
+Employer NSSF Tier I: Ksh ${result.employerCost.nssfTier1.toFixed(2)}
+Employer NSSF Tier II: Ksh ${result.employerCost.nssfTier2.toFixed(2)}
+Employer Housing Levy (AHL): Ksh ${result.employerCost.ahl.toFixed(2)}
+NITA Levy: Ksh ${result.employerCost.nita.toFixed(2)}
+${result.employerCost.fringeBenefitTax > 0 ? `Fringe Benefit Tax: Ksh ${result.employerCost.fringeBenefitTax.toFixed(2)}\n` : ''}Total Employer Cost: Ksh ${result.employerCost.total.toFixed(2)}
+Cost to Company: Ksh ${result.costToCompany.toFixed(2)}
+` : ''}${result.ruleSet ? `\nPay Period: ${result.payPeriod}\nRules Applied: ${result.ruleSet.name} (effective ${result.ruleSet.effectiveFrom})` : ''}${result.payFrequency && result.payFrequency.key !== 'monthly' ? `\nPay Frequency: ${result.payFrequency.label} (amounts per ${result.payFrequency.unit})\nMonthly Equivalent: gross Ksh ${result.monthlyEquivalent.grossPay.toFixed(2)}, ${taxLabel} Ksh ${result.monthlyEquivalent.paye.toFixed(2)}, net Ksh ${result.monthlyEquivalent.netPay.toFixed(2)}` : ''}${result.taxRegime ? `\nTax Regime: ${result.taxRegime.label} - ${result.taxRegime.description}` : ''}
       `;
 
-      const fileUri = FileSystem.documentDirectory + 'NetPaySummary.txt';
-      await FileSystem.writeAsStringAsync(fileUri, content, { encoding: FileSystem.EncodingType.UTF8 });
-      await Sharing.shareAsync(fileUri);
+      await shareTextFile('NetPaySummary.txt', content);
     } catch (error) {
       console.error('Download error:', error);
       Alert.alert('Error', 'Failed to download or share the file.');
     }
   };
 
+  const payslipHtml = () => buildPayslipHtml(result, { employerName, employeeName });
+
+  const handlePrintPayslip = async () => {
+    try {
+      await Print.printAsync({ html: payslipHtml() });
+      setShowPayslipForm(false);
+    } catch (error) {
+      console.error('Print error:', error);
+      Alert.alert('Error', 'Failed to print the payslip.');
+    }
+  };
+
+  const handleSharePayslip = async () => {
+    try {
+      const { uri } = await Print.printToFileAsync({ html: payslipHtml() });
+      await Sharing.shareAsync(uri, { mimeType: 'application/pdf', UTI: 'com.adobe.pdf' });
+      setShowPayslipForm(false);
+    } catch (error) {
+      console.error('Payslip PDF error:', error);
+      Alert.alert('Error', 'Failed to create or share the payslip PDF.');
+    }
+  };
+
   return (
     <ScrollView contentContainerStyle={styles.scrollViewContent}>
       <View style={styles.container}>
         <Text style={styles.title}>NET PAY CALCULATION SUMMARY</Text>
 
-        <View style={styles.section}>
-          <Text style={styles.sectionHeader}>Gross Pay:</Text>
-          <Text style={styles.grossPayValue}>Ksh {result.grossPay.toFixed(2)}</Text>
-        </View>
+        {/* Older history entries were saved before results recorded their rule set */}
+        {result.ruleSet && (
+          <Text style={styles.ruleSetText}>
+            Pay period {result.payPeriod} · {result.ruleSet.name} (effective {result.ruleSet.effectiveFrom})
+          </Text>
+        )}
+        {/* Older history entries are all monthly */}
+        {result.payFrequency && result.payFrequency.key !== 'monthly' && (
+          <Text style={styles.ruleSetText}>Paid {result.payFrequency.label.toLowerCase()}: amounts are per {result.payFrequency.unit}</Text>
+        )}
+        {result.taxRegime && (
+          <Text style={styles.ruleSetText}>
+            {result.taxRegime.label}: {result.taxRegime.description}
+          </Text>
+        )}
 
-        <View style={styles.section}>
-          <Text style={styles.sectionHeader}>Deductions:</Text>
-          <ResultRow label="PAYE" value={result.paye} />
-          {result.nssf !== undefined && <ResultRow label="NSSF Tier" value={result.nssf} />}
-          {result.nhif !== undefined && <ResultRow label="NHIF" value={result.nhif} />}
-          {result.ahl !== undefined && <ResultRow label="Housing Levy" value={result.ahl} />}
-          {result.pension > 0 && <ResultRow label="Pension Contribution" value={result.pension} />}
-          {result.allowableDeductions > 0 && <ResultRow label="Other Allowable Deductions" value={result.allowableDeductions} />}
+        <View style={styles.tabBar}>
+          {[
+            { value: 'employee', label: 'Employee' },
+            { value: 'employer', label: 'Employer Cost' },
+          ].map((tab) => (
+            <Pressable
+              key={tab.value}
+              style={[styles.tab, view === tab.value && styles.tabActive]}
+              onPress={() => setView(tab.value)}
+            >
+              <Text style={[styles.tabText, view === tab.value && styles.tabTextActive]}>{tab.label}</Text>
+            </Pressable>
+          ))}
         </View>
 
-        <View style={styles.section}>
-          <ResultRow label="Total Deductions" value={result.totalDeductions} highlight isTotal />
-          <ResultRow label="Net Pay" value={result.netPay} highlight isTotal />
-        </View>
+        {view === 'employer' ? (
+          // Employer view: statutory costs paid on top of gross pay
+          result.employerCost ? (
+            <>
+              <View style={styles.section}>
+                <Text style={styles.sectionHeader}>Employer Contributions:</Text>
+                <ResultRow label="Gross Pay" value={result.grossPay} />
+                <ResultRow label="Employer NSSF Tier I" value={result.employerCost.nssfTier1} />
+                <ResultRow label="Employer NSSF Tier II" value={result.employerCost.nssfTier2} />
+                <ResultRow label="Employer Housing Levy" value={result.employerCost.ahl} />
+                <ResultRow label="NITA Levy" value={result.employerCost.nita} />
+                {result.employerCost.fringeBenefitTax > 0 && (
+                  <ResultRow label="Fringe Benefit Tax" value={result.employerCost.fringeBenefitTax} />
+                )}
+              </View>
 
-        <View style={styles.section}>
-          <Text style={styles.sectionHeader}>PAYE Information:</Text>
-          <ResultRow label="Gross Pay" value={result.grossPay} />
-          <ResultRow label="Allowable Deductions" value={result.allowableDeductions} />
-          {result.taxableIncome !== undefined && <ResultRow label="Taxable Pay" value={result.taxableIncome} />}
-          <ResultRow label="Personal Relief" value={2400.0} />
-        </View>
+              <View style={styles.section}>
+                <ResultRow label="Total Employer Cost" value={result.employerCost.total} highlight isTotal />
+                <ResultRow label="Cost to Company" value={result.costToCompany} highlight isTotal />
+              </View>
+            </>
+          ) : (
+            <Text style={styles.errorText}>Employer costs were not recorded for this calculation.</Text>
+          )
+        ) : (
+          <>
+            {/* Minimum wage check, when an occupation was chosen */}
+            {result.minimumWage && (
+              <View style={styles.section}>
+                <Text style={styles.sectionHeader}>Minimum Wage:</Text>
+                {result.minimumWage.belowMinimum && (
+                  <Text style={styles.warningText}>
+                    Basic pay is Ksh {result.minimumWage.shortfall.toFixed(2)} below the statutory minimum.
+                  </Text>
+                )}
+                {result.minimumWage.order ? (
+                  <>
+                    <ResultRow label="Statutory Minimum" value={result.minimumWage.minimum} />
+                    <ResultRow label="Basic Pay" value={result.minimumWage.basicPay} />
+                    {result.minimumWage.belowMinimum && <ResultRow label="Shortfall" value={result.minimumWage.shortfall} highlight />}
+                    <Text style={styles.explanationText}>
+                      {result.minimumWage.occupation}, {result.minimumWage.area}. {result.minimumWage.order.name} (effective{' '}
+                      {result.minimumWage.order.effectiveFrom}).
+                    </Text>
+                  </>
+                ) : (
+                  <Text style={styles.explanationText}>No bundled wage order covers this pay period.</Text>
+                )}
+              </View>
+            )}
+
+            <View style={styles.section}>
+              <Text style={styles.sectionHeader}>Gross Pay:</Text>
+              <Text style={styles.grossPayValue}>Ksh {result.grossPay.toFixed(2)}</Text>
+              {result.targetNetPay !== undefined && (
+                <Text style={styles.grossUpNote}>Solved for a target net pay of Ksh {result.targetNetPay.toFixed(2)}</Text>
+              )}
+              {result.netPayGap && (
+                <Text style={styles.warningText}>
+                  Net pay jumps from Ksh {result.netPayGap.netBelow.toFixed(2)} (gross Ksh {result.netPayGap.grossBelow.toFixed(2)}) to
+                  Ksh {result.netPayGap.netAbove.toFixed(2)} (gross Ksh {result.netPayGap.grossAbove.toFixed(2)}), so the target
+                  cannot be reached exactly. The nearest net pay above it is shown.
+                </Text>
+              )}
+            </View>
+
+            {/* Overtime, bonuses, arrears etc. and the tax each one added; older history entries don't have this */}
+            {result.earnings && result.earnings.length > 0 && (
+              <View style={styles.section}>
+                <Text style={styles.sectionHeader}>Irregular Earnings:</Text>
+                <ResultRow label="Basic Pay" value={result.basicPay} />
+                {result.earnings.map((earning, index) => (
+                  <View key={index}>
+                    <ResultRow label={earning.label} value={earning.amount} />
+                    <ResultRow label="  Extra Tax" value={earning.extraTax} />
+                    {earning.months && earning.months.map((month) => (
+                      <Text key={month.payPeriod} style={styles.explanationText}>
+                        {month.payPeriod}: Ksh {month.amount.toFixed(2)}, tax Ksh {month.extraTax.toFixed(2)} ({month.ruleSet.name})
+                      </Text>
+                    ))}
+                  </View>
+                ))}
+                <ResultRow label="Total Extra Tax" value={result.irregularTax} highlight />
+              </View>
+            )}
+
+            <View style={styles.section}>
+              <Text style={styles.sectionHeader}>Deductions:</Text>
+              <ResultRow label={taxLabel} value={result.paye} />
+              {/* History saved before the tier split only has the combined NSSF figure */}
+              {result.nssfTier1 !== undefined ? (
+                <>
+                  <ResultRow label="NSSF Tier I" value={result.nssfTier1} />
+                  <ResultRow label="NSSF Tier II" value={result.nssfTier2} />
+                </>
+              ) : (
+                result.nssf !== undefined && <ResultRow label="NSSF" value={result.nssf} />
+              )}
+              {healthContribution !== undefined && <ResultRow label={healthLabel} value={healthContribution} />}
+              {result.ahl !== undefined && <ResultRow label="Housing Levy" value={result.ahl} />}
+              {result.pension > 0 && <ResultRow label="Pension Contribution" value={result.pension} />}
+              {result.allowableDeductions > 0 && <ResultRow label="Other Allowable Deductions" value={result.allowableDeductions} />}
+            </View>
+
+            {/* Loans, dues and advances from net pay, in the order they were honoured; older entries don't have these */}
+            {result.postTaxDeductions && result.postTaxDeductions.length > 0 && (
+              <View style={styles.section}>
+                <Text style={styles.sectionHeader}>Post-Tax Deductions:</Text>
+                {result.belowMinimumTakeHome && (
+                  <Text style={styles.warningText}>
+                    These deductions would leave less than the legal minimum take-home pay of Ksh{' '}
+                    {result.minimumTakeHome.toFixed(2)}. Lower-priority deductions have been reduced.
+                  </Text>
+                )}
+                {result.postTaxDeductions.map((deduction, index) => (
+                  <View key={index}>
+                    <ResultRow label={`${deduction.priority}. ${deduction.label}`} value={deduction.honoured} />
+                    {deduction.shortfall > 0 && (
+                      <Text style={styles.shortfallText}>
+                        {deduction.honoured === 0 ? 'Not deducted' : 'Partly deducted'}: Ksh {deduction.shortfall.toFixed(2)} of
+                        Ksh {deduction.amount.toFixed(2)} can't be honoured this period.
+                      </Text>
+                    )}
+                  </View>
+                ))}
+                <ResultRow label="Total Post-Tax Deductions" value={result.postTaxDeductionsTotal} highlight />
+              </View>
+            )}
+
+            <View style={styles.section}>
+              <ResultRow label="Total Deductions" value={result.totalDeductions} highlight isTotal />
+              <ResultRow label="Net Pay" value={result.netPay} highlight isTotal />
+            </View>
+
+            {result.payFrequency && result.payFrequency.key !== 'monthly' && (
+              <View style={styles.section}>
+                <Text style={styles.sectionHeader}>Monthly Equivalent:</Text>
+                <ResultRow label="Gross Pay" value={result.monthlyEquivalent.grossPay} />
+                <ResultRow label={taxLabel} value={result.monthlyEquivalent.paye} />
+                <ResultRow label="Total Deductions" value={result.monthlyEquivalent.totalDeductions} />
+                <ResultRow label="Net Pay" value={result.monthlyEquivalent.netPay} highlight />
+              </View>
+            )}
+
+            <View style={styles.section}>
+              <Text style={styles.sectionHeader}>PAYE Information:</Text>
+              <ResultRow label="Gross Pay" value={result.grossPay} />
+              <ResultRow label="Allowable Deductions" value={result.allowableDeductions} />
+              {result.taxableIncome !== undefined && <ResultRow label="Taxable Pay" value={result.taxableIncome} />}
+              <ResultRow label="Personal Relief" value={result.personalReliefUsed ?? 2400.0} />
+            </View>
+
+            {/* Itemised non-cash benefits and how each was valued */}
+            {result.benefitItems && result.benefitItems.length > 0 && (
+              <View style={styles.section}>
+                <Text style={styles.sectionHeader}>Non-Cash Benefits:</Text>
+                {result.benefitItems.map((item, index) => (
+                  <View key={index}>
+                    <ResultRow label={item.label} value={item.taxableValue} />
+                    {item.fringeBenefit !== undefined && (
+                      <ResultRow label="Fringe Benefit (taxed on employer)" value={item.fringeBenefit} />
+                    )}
+                    <Text style={styles.explanationText}>{item.explanation}</Text>
+                  </View>
+                ))}
+              </View>
+            )}
+
+            {/* How the taxable housing benefit was derived */}
+            {result.housingBenefit && (
+              <View style={styles.section}>
+                <Text style={styles.sectionHeader}>Housing Benefit ({result.housingBenefit.housingTypeLabel}):</Text>
+                {result.housingBenefit.percentageValue !== null && (
+                  <ResultRow
+                    label={`${result.housingBenefit.percentage * 100}% of Total Income`}
+                    value={result.housingBenefit.percentageValue}
+                  />
+                )}
+                {result.housingBenefit.housingType !== '2' && (
+                  <ResultRow label="Market Rental Value" value={result.housingBenefit.marketValue} />
+                )}
+                <ResultRow label="Assessed Value" value={result.housingBenefit.assessedValue} />
+                <ResultRow label="Less Rent Paid" value={result.housingBenefit.rent} />
+                <ResultRow label="Taxable Housing Benefit" value={result.housingBenefit.value} highlight />
+                <Text style={styles.explanationText}>{result.housingBenefit.explanation}</Text>
+              </View>
+            )}
+
+            {/* Each claimed relief and deduction with its cap; older history entries don't have this */}
+            {result.reliefsAndDeductions && result.reliefsAndDeductions.length > 0 && (
+              <View style={styles.section}>
+                <Text style={styles.sectionHeader}>Reliefs & Deductions Applied:</Text>
+                {result.reliefsAndDeductions.map((item) => (
+                  <View key={item.key}>
+                    <ResultRow label={item.label} value={item.allowed} />
+                    {item.disallowed > 0 && (
+                      <Text style={styles.disallowedNote}>
+                        Claimed Ksh {item.claimed.toFixed(2)}, Ksh {item.disallowed.toFixed(2)}{' '}
+                        {item.kind === 'relief' ? 'not used (capped or more than the tax charged)' : 'disallowed'}
+                        {item.cap ? ` (cap Ksh ${item.cap.toFixed(2)})` : ''}
+                      </Text>
+                    )}
+                  </View>
+                ))}
+              </View>
+            )}
+
+            {/* Step-by-step trace from calculatePAYE; older history entries don't have one */}
+            {result.trace && (
+              <View style={styles.section}>
+                <Pressable style={styles.traceToggle} onPress={() => setShowTrace(!showTrace)}>
+                  <Text style={styles.sectionHeader}>How was this calculated?</Text>
+                  <Feather name={showTrace ? 'chevron-up' : 'chevron-down'} size={20} color="#34495e" />
+                </Pressable>
+                {showTrace && result.trace.map((step, index) => (
+                  <View key={step.title} style={styles.traceStep}>
+                    <Text style={styles.traceTitle}>{index + 1}. {step.title}</Text>
+                    {step.lines.map((line, lineIndex) => (
+                      <View key={lineIndex}>
+                        <View style={styles.traceRow}>
+                          <Text style={styles.traceLabel}>{line.label}</Text>
+                          <Text style={styles.traceAmount}>
+                            {line.amount < 0 ? '− ' : ''}{Math.abs(line.amount).toFixed(2)}
+                          </Text>
+                        </View>
+                        {line.detail && <Text style={styles.traceDetail}>{line.detail}</Text>}
+                      </View>
+                    ))}
+                    <View style={[styles.traceRow, styles.traceTotalRow]}>
+                      <Text style={[styles.traceLabel, styles.traceTotalText]}>{step.total.label}</Text>
+                      <Text style={[styles.traceAmount, styles.traceTotalText]}>{step.total.amount.toFixed(2)}</Text>
+                    </View>
+                  </View>
+                ))}
+              </View>
+            )}
+          </>
+        )}
 
         <View style={styles.buttonGroup}>
           <Pressable
             style={({ pressed }) => [styles.button, styles.printButton, pressed && { opacity: 0.8 }]}
-            onPress={() => Alert.alert('Print Feature', 'Printing will be available in a future update.')}
+            onPress={() => setShowPayslipForm(true)}
           >
             <Feather name="printer" size={20} color="#fff" />
             <Text style={styles.buttonText}> Print</Text>
@@ -118,6 +423,43 @@ Personal Relief: Ksh 2400.00
           </Pressable>
         </View>
       </View>
+
+      {/* Payslip details, then print or share as PDF */}
+      <Modal visible={showPayslipForm} transparent animationType="fade" onRequestClose={() => setShowPayslipForm(false)}>
+        <View style={styles.modalBackdrop}>
+          <View style={styles.modalCard}>
+            <Text style={styles.sectionHeader}>Payslip Details</Text>
+            <Text style={styles.modalLabel}>Employer Name</Text>
+            <TextInput style={styles.modalInput} value={employerName} onChangeText={setEmployerName} />
+            <Text style={styles.modalLabel}>Employee Name</Text>
+            <TextInput
+              style={styles.modalInput}
+              value={employeeName}
+              onChangeText={setEmployeeName}
+              placeholder="e.g. Jane Wanjiru"
+            />
+            <View style={styles.modalButtons}>
+              <Pressable
+                style={({ pressed }) => [styles.button, styles.printButton, pressed && { opacity: 0.8 }]}
+                onPress={handlePrintPayslip}
+              >
+                <Feather name="printer" size={18} color="#fff" />
+                <Text style={styles.buttonText}> Print</Text>
+              </Pressable>
+              <Pressable
+                style={({ pressed }) => [styles.button, styles.downloadButton, pressed && { opacity: 0.8 }]}
+                onPress={handleSharePayslip}
+              >
+                <Feather name="share" size={18} color="#fff" />
+                <Text style={styles.buttonText}> PDF</Text>
+              </Pressable>
+            </View>
+            <Pressable onPress={() => setShowPayslipForm(false)} style={styles.modalCancel}>
+              <Text style={styles.modalCancelText}>Cancel</Text>
+            </Pressable>
+          </View>
+        </View>
+      </Modal>
     </ScrollView>
   );
 }
@@ -149,6 +491,38 @@ const styles = StyleSheet.create({
     marginBottom: 25,
     textAlign: 'center',
   },
+  ruleSetText: {
+    fontSize: 14,
+    color: '#6c757d',
+    textAlign: 'center',
+    marginTop: -15,
+    marginBottom: 20,
+  },
+  tabBar: {
+    flexDirection: 'row',
+    borderWidth: 1,
+    borderColor: '#28a745',
+    borderRadius: 8,
+    overflow: 'hidden',
+    marginBottom: 25,
+  },
+  tab: {
+    flex: 1,
+    paddingVertical: 10,
+    alignItems: 'center',
+    backgroundColor: '#fff',
+  },
+  tabActive: {
+    backgroundColor: '#28a745',
+  },
+  tabText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#28a745',
+  },
+  tabTextActive: {
+    color: '#fff',
+  },
   section: {
     marginBottom: 25,
     borderBottomWidth: 1,
@@ -168,6 +542,11 @@ const styles = StyleSheet.create({
     textAlign: 'right',
     marginBottom: 5,
   },
+  grossUpNote: {
+    fontSize: 13,
+    color: '#6c757d',
+    textAlign: 'right',
+  },
   resultRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -176,6 +555,74 @@ const styles = StyleSheet.create({
     borderBottomWidth: 1,
     borderBottomColor: '#f8f8f8',
   },
+  explanationText: {
+    fontSize: 13,
+    color: '#6c757d',
+    marginTop: 8,
+  },
+  warningText: {
+    fontSize: 14,
+    color: '#856404',
+    backgroundColor: '#fff3cd',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 8,
+  },
+  shortfallText: {
+    fontSize: 13,
+    color: '#dc3545',
+    marginBottom: 6,
+  },
+  traceToggle: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  traceStep: {
+    marginTop: 12,
+  },
+  traceTitle: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 4,
+  },
+  traceRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 3,
+  },
+  traceLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: '#555',
+    paddingRight: 10,
+  },
+  traceAmount: {
+    fontSize: 14,
+    color: '#333',
+  },
+  traceDetail: {
+    fontSize: 12,
+    color: '#6c757d',
+    fontStyle: 'italic',
+    marginBottom: 2,
+  },
+  traceTotalRow: {
+    borderTopWidth: 1,
+    borderTopColor: '#ddd',
+    marginTop: 2,
+  },
+  traceTotalText: {
+    fontWeight: 'bold',
+    color: '#2c3e50',
+  },
+  disallowedNote: {
+    fontSize: 13,
+    color: '#dc3545',
+    textAlign: 'right',
+    marginBottom: 4,
+  },
   totalResultRow: {
     borderBottomWidth: 0,
     borderTopWidth: 1.5,
@@ -243,6 +690,45 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginLeft: 8,
   },
+  modalBackdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalCard: {
+    width: '90%',
+    maxWidth: 420,
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 20,
+  },
+  modalLabel: {
+    fontSize: 15,
+    color: '#555',
+    marginBottom: 6,
+  },
+  modalInput: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 16,
+    marginBottom: 15,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    marginTop: 5,
+  },
+  modalCancel: {
+    alignItems: 'center',
+    marginTop: 15,
+  },
+  modalCancelText: {
+    color: '#6c757d',
+    fontSize: 16,
+    fontWeight: '600',
+  },
   errorText: {
     color: '#dc3545',
     fontSize: 16,
@@ -0,0 +1,289 @@
+import React from 'react';
+import { View, Text, ScrollView, StyleSheet, Pressable, Alert } from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { shareTextFile } from '../utils/shareFile';
+
+// How the housing benefit was valued, e.g. "Ordinary · 15% of income"
+const housingBasis = (r) => {
+  if (r.housingBenefit) {
+    const { housingTypeLabel, basis, percentage } = r.housingBenefit;
+    return `${housingTypeLabel} · ${basis === 'percentageOfIncome' ? `${parseFloat((percentage * 100).toFixed(2))}% of income` : 'Market value'}`;
+  }
+  return r.housed === false ? 'Not housed' : undefined;
+};
+
+// Every field of a calculatePAYE result: first the settings that explain the figures (isText),
+// then the amounts in payslip order. Entries saved before a field existed show "—" for it.
+const COMPARISON_FIELDS = [
+  { label: 'Pay Period', get: (r) => r.payPeriod, isText: true },
+  { label: 'Rule Set', get: (r) => r.ruleSet?.name, isText: true },
+  // Entries saved before pay frequencies were added are monthly
+  { label: 'Pay Frequency', get: (r) => (r.payFrequency ? r.payFrequency.label : 'Monthly'), isText: true },
+  { label: 'Tax Status', get: (r) => r.taxRegime?.label, isText: true },
+  { label: 'Housing Basis', get: housingBasis, isText: true },
+  { label: 'Basic Pay', get: (r) => r.basicPay },
+  { label: 'Gross Pay', get: (r) => r.grossPay },
+  { label: 'Non-Cash Benefits', get: (r) => r.benefits },
+  { label: 'Taxable Benefits', get: (r) => r.taxableBenefits },
+  { label: 'Housing Value', get: (r) => r.housingValue },
+  { label: 'Rent Paid', get: (r) => r.rent },
+  { label: 'Pension Contribution', get: (r) => r.pension },
+  { label: 'Other Allowable Deductions', get: (r) => r.allowableDeductions },
+  { label: 'Taxable Pay', get: (r) => r.taxableIncome },
+  { label: 'Personal Relief', get: (r) => r.personalReliefUsed },
+  { label: 'Insurance Relief', get: (r) => r.insuranceRelief },
+  { label: 'Tax on Irregular Earnings', get: (r) => r.irregularTax },
+  { label: 'PAYE', get: (r) => r.paye },
+  { label: 'NSSF Tier I', get: (r) => r.nssfTier1 },
+  { label: 'NSSF Tier II', get: (r) => r.nssfTier2 },
+  { label: 'NSSF Total', get: (r) => r.nssf },
+  { label: 'SHIF', get: (r) => r.shif },
+  { label: 'NHIF', get: (r) => r.nhif },
+  { label: 'Housing Levy', get: (r) => r.ahl },
+  { label: 'Post-Tax Deductions', get: (r) => r.postTaxDeductionsTotal },
+  { label: 'Total Deductions', get: (r) => r.totalDeductions, isTotal: true },
+  { label: 'Net Pay', get: (r) => r.netPay, isTotal: true },
+  // Converts weekly, daily and annual entries to a month; monthly entries (and older ones) are already monthly
+  { label: 'Net Pay (Monthly Equivalent)', get: (r) => (r.monthlyEquivalent ? r.monthlyEquivalent.netPay : r.netPay) },
+  { label: 'Employer NSSF', get: (r) => r.employerCost?.nssf },
+  { label: 'Employer Housing Levy', get: (r) => r.employerCost?.ahl },
+  { label: 'NITA Levy', get: (r) => r.employerCost?.nita },
+  { label: 'Fringe Benefit Tax', get: (r) => r.employerCost?.fringeBenefitTax },
+  { label: 'Total Employer Cost', get: (r) => r.employerCost?.total },
+  { label: 'Cost to Company', get: (r) => r.costToCompany, isTotal: true },
+];
+
+/**
+ * Difference of a value against the baseline (first) calculation.
+ *
+ * @returns {{amount: number, percent: number|null}|null} null when either value is missing;
+ * percent is null when the baseline is zero.
+ */
+function difference(value, baseValue) {
+  if (typeof value !== 'number' || typeof baseValue !== 'number') return null;
+  const amount = parseFloat((value - baseValue).toFixed(2));
+  const percent = baseValue !== 0 ? (amount / Math.abs(baseValue)) * 100 : null;
+  return { amount, percent };
+}
+
+/**
+ * Whether a value differs from the baseline's; never true when either value is missing.
+ */
+function isChanged(field, value, baseValue) {
+  if (field.isText) {
+    return typeof value === 'string' && typeof baseValue === 'string' && value !== baseValue;
+  }
+  const diff = difference(value, baseValue);
+  return diff !== null && diff.amount !== 0;
+}
+
+const formatAmount = (value) => (typeof value === 'number' ? value.toFixed(2) : '—');
+const formatValue = (field, value) => (field.isText ? value || '—' : formatAmount(value));
+
+const formatDifference = ({ amount, percent }) =>
+  `${amount > 0 ? '+' : ''}${amount.toFixed(2)}${percent !== null ? ` (${percent > 0 ? '+' : ''}${percent.toFixed(1)}%)` : ''}`;
+
+export default function ComparisonScreen({ route }) {
+  const { entries = [] } = route.params || {};
+
+  if (entries.length < 2) {
+    return (
+      <View style={styles.container}>
+        <Text style={styles.errorText}>Select at least two calculations to compare.</Text>
+      </View>
+    );
+  }
+
+  const [baseline] = entries;
+  const columnTitle = (entry, index) => entry.label || `#${index + 1} · ${new Date(entry.timestamp).toLocaleDateString()}`;
+
+  const handleExport = async () => {
+    try {
+      const lines = [
+        'CALCULATION COMPARISON',
+        '',
+        ...entries.map(
+          (entry, index) => `${index + 1}. ${columnTitle(entry, index)}${entry.payPeriod ? ` (pay period ${entry.payPeriod})` : ''}`
+        ),
+        '',
+        `Differences are against ${columnTitle(baseline, 0)}.`,
+        '',
+      ];
+      COMPARISON_FIELDS.forEach((field) => {
+        const baseValue = field.get(baseline);
+        const cells = entries.map((entry, index) => {
+          const value = field.get(entry);
+          if (index === 0 || !isChanged(field, value, baseValue)) return formatValue(field, value);
+          return `${formatValue(field, value)} [${field.isText ? 'differs' : formatDifference(difference(value, baseValue))}]`;
+        });
+        lines.push(`${field.label}: ${cells.join(' | ')}`);
+      });
+
+      await shareTextFile('CalculationComparison.txt', lines.join('\n'));
+    } catch (error) {
+      console.error('Comparison export error:', error);
+      Alert.alert('Error', 'Failed to download or share the file.');
+    }
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.scrollViewContent}>
+      <View style={styles.container}>
+        <Text style={styles.title}>Compare Calculations</Text>
+        <Text style={styles.subtitle}>Differences are against the first column.</Text>
+
+        <ScrollView horizontal>
+          <View>
+            {/* Column headers */}
+            <View style={[styles.row, styles.headerRow]}>
+              <Text style={[styles.labelCell, styles.headerText]}>Field</Text>
+              {entries.map((entry, index) => (
+                <Text key={entry.id || index} style={[styles.valueCell, styles.headerText]} numberOfLines={2}>
+                  {columnTitle(entry, index)}
+                </Text>
+              ))}
+            </View>
+
+            {COMPARISON_FIELDS.map((field) => {
+              const baseValue = field.get(baseline);
+              return (
+                <View key={field.label} style={[styles.row, field.isTotal && styles.totalRow]}>
+                  <Text style={[styles.labelCell, field.isTotal && styles.totalText]}>{field.label}</Text>
+                  {entries.map((entry, index) => {
+                    const value = field.get(entry);
+                    const changed = index > 0 && isChanged(field, value, baseValue);
+                    const diff = changed && !field.isText ? difference(value, baseValue) : null;
+                    return (
+                      <View key={entry.id || index} style={[styles.valueCell, changed && styles.changedCell]}>
+                        <Text style={[styles.valueText, field.isTotal && styles.totalText]}>{formatValue(field, value)}</Text>
+                        {diff && (
+                          <Text style={[styles.diffText, diff.amount > 0 ? styles.diffUp : styles.diffDown]}>
+                            {formatDifference(diff)}
+                          </Text>
+                        )}
+                      </View>
+                    );
+                  })}
+                </View>
+              );
+            })}
+          </View>
+        </ScrollView>
+
+        <Pressable
+          style={({ pressed }) => [styles.button, pressed && { opacity: 0.8 }]}
+          onPress={handleExport}
+        >
+          <Feather name="download" size={20} color="#fff" />
+          <Text style={styles.buttonText}> Download</Text>
+        </Pressable>
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  scrollViewContent: {
+    flexGrow: 1,
+    alignItems: 'center',
+    backgroundColor: '#f0f4f8',
+    paddingVertical: 20,
+  },
+  container: {
+    width: '95%',
+    backgroundColor: '#ffffff',
+    borderRadius: 15,
+    padding: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.2,
+    shadowRadius: 10,
+    elevation: 15,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 5,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6c757d',
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  row: {
+    flexDirection: 'row',
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  headerRow: {
+    borderBottomWidth: 1.5,
+    borderBottomColor: '#ddd',
+  },
+  totalRow: {
+    backgroundColor: '#f8f9fa',
+  },
+  labelCell: {
+    width: 170,
+    paddingVertical: 8,
+    paddingRight: 10,
+    fontSize: 14,
+    color: '#555',
+  },
+  valueCell: {
+    width: 140,
+    paddingVertical: 8,
+    paddingHorizontal: 6,
+  },
+  headerText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#34495e',
+  },
+  valueText: {
+    fontSize: 14,
+    color: '#333',
+    textAlign: 'right',
+  },
+  totalText: {
+    fontWeight: 'bold',
+    color: '#2c3e50',
+  },
+  changedCell: {
+    backgroundColor: '#fff8e1',
+  },
+  diffText: {
+    fontSize: 12,
+    textAlign: 'right',
+    marginTop: 2,
+  },
+  diffUp: {
+    color: '#28a745',
+  },
+  diffDown: {
+    color: '#dc3545',
+  },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#17a2b8',
+    paddingVertical: 12,
+    borderRadius: 8,
+    marginTop: 25,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+  errorText: {
+    color: '#dc3545',
+    fontSize: 16,
+    textAlign: 'center',
+    padding: 20,
+  },
+});
@@ -0,0 +1,400 @@
+// screens/FinalDuesScreen.js
+import React, { useState } from 'react';
+import { View, Text, TextInput, Switch, ScrollView, Pressable, StyleSheet, Alert } from 'react-native';
+import { Feather } from '@expo/vector-icons';
+
+import { calculateFinalDues } from '../utils/finalDues';
+import { shareTextFile } from '../utils/shareFile';
+
+// Amount inputs, in statement order: [state key, label]
+const AMOUNT_FIELDS = [
+  ['noticePay', 'Pay in Lieu of Notice (Ksh)'],
+  ['gratuity', 'Gratuity (Ksh)'],
+  ['severance', 'Severance Pay (Ksh)'],
+  ['pensionLumpSum', 'Pension / Provident Lump Sum (Ksh)'],
+];
+
+export default function FinalDuesScreen({ route, navigation }) {
+  // The final month's pay comes from the calculator form
+  const { salaryParams } = route.params;
+
+  const [amounts, setAmounts] = useState({ noticePay: '', gratuity: '', severance: '', pensionLumpSum: '' });
+  const [gratuityYears, setGratuityYears] = useState('1');
+  const [annualTaxablePay, setAnnualTaxablePay] = useState('');
+  const [yearsOfService, setYearsOfService] = useState('');
+  const [onRetirement, setOnRetirement] = useState(false);
+  const [dues, setDues] = useState(null);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  const handleCalculate = () => {
+    setErrorMessage('');
+    const parsed = {};
+    for (const [key] of AMOUNT_FIELDS) {
+      parsed[key] = parseFloat(amounts[key] || '0');
+    }
+    const parsedYears = parseInt(gratuityYears || '1', 10);
+    const parsedService = parseFloat(yearsOfService || '0');
+    const parsedAnnualPay = annualTaxablePay === '' ? undefined : parseFloat(annualTaxablePay);
+
+    if ([...Object.values(parsed), parsedService, parsedAnnualPay ?? 0].some((value) => isNaN(value) || value < 0)) {
+      setErrorMessage('Please ensure all numerical inputs are valid non-negative numbers.');
+      return;
+    }
+
+    try {
+      setDues(
+        calculateFinalDues({
+          salaryParams,
+          ...parsed,
+          gratuityYears: parsedYears,
+          yearsOfService: parsedService,
+          onRetirement,
+          annualTaxablePay: parsedAnnualPay,
+        })
+      );
+    } catch (err) {
+      setDues(null);
+      setErrorMessage(err.message);
+      console.error('Final dues error:', err);
+    }
+  };
+
+  const handleShare = async () => {
+    try {
+      const content = `
+FINAL DUES STATEMENT
+
+Final Pay Period: ${dues.payPeriod}
+Rules Applied: ${dues.ruleSet.name} (effective ${dues.ruleSet.effectiveFrom})
+Tax Regime: ${dues.taxRegime.label}
+
+Final Month's Pay: Ksh ${dues.finalMonth.grossPay.toFixed(2)}
+  PAYE: Ksh ${dues.finalMonth.paye.toFixed(2)}
+  Other Deductions: Ksh ${(dues.finalMonth.totalDeductions - dues.finalMonth.paye).toFixed(2)}
+${dues.components
+  .map((component) => `
+${component.label}: Ksh ${component.amount.toFixed(2)} (${component.treatment})${component.taxFree > 0 ? `\n  Tax-free: Ksh ${component.taxFree.toFixed(2)}` : ''}${(component.years || [])
+    .map((year) => `\n  ${year.year}: Ksh ${year.amount.toFixed(2)}, tax Ksh ${year.tax.toFixed(2)} (${year.ruleSet.name})`)
+    .join('')}
+  Tax: Ksh ${component.tax.toFixed(2)}${component.otherDeductions > 0 ? `\n  Other Deductions: Ksh ${component.otherDeductions.toFixed(2)}` : ''}
+  Net: Ksh ${component.net.toFixed(2)}`)
+  .join('\n')}
+
+Total Paid: Ksh ${dues.totals.grossPay.toFixed(2)}
+Total Tax: Ksh ${dues.totals.tax.toFixed(2)}
+Other Deductions: Ksh ${dues.totals.otherDeductions.toFixed(2)}
+Net Final Dues: Ksh ${dues.totals.netPay.toFixed(2)}
+      `;
+      await shareTextFile(`FinalDues-${dues.payPeriod}.txt`, content);
+    } catch (error) {
+      console.error('Download error:', error);
+      Alert.alert('Error', 'Failed to download or share the file.');
+    }
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.scrollViewContent}>
+      <View style={styles.container}>
+        <Text style={styles.title}>Final Dues</Text>
+        <Text style={styles.subtitle}>
+          Final month ({salaryParams.payPeriod}): gross Ksh {salaryParams.grossPay.toFixed(2)}, as entered in the calculator.
+        </Text>
+
+        {AMOUNT_FIELDS.map(([key, label]) => (
+          <View key={key}>
+            <Text style={styles.label}>{label}</Text>
+            <TextInput
+              style={styles.input}
+              value={amounts[key]}
+              onChangeText={(text) => setAmounts((prev) => ({ ...prev, [key]: text }))}
+              keyboardType="numeric"
+              placeholder="0"
+            />
+
+            {/* Gratuity is spread back over the years it was earned */}
+            {key === 'gratuity' && amounts.gratuity !== '' && (
+              <View style={styles.subFields}>
+                <Text style={styles.label}>Years Earned Over</Text>
+                <TextInput
+                  style={styles.input}
+                  value={gratuityYears}
+                  onChangeText={setGratuityYears}
+                  keyboardType="numeric"
+                  placeholder="1"
+                />
+                <Text style={styles.label}>Annual Taxable Pay in Those Years (Ksh, optional)</Text>
+                <TextInput
+                  style={styles.input}
+                  value={annualTaxablePay}
+                  onChangeText={setAnnualTaxablePay}
+                  keyboardType="numeric"
+                  placeholder="Defaults to a full year at the final month's rate"
+                />
+              </View>
+            )}
+
+            {/* The lump sum's tax-free portion depends on why and when it is paid */}
+            {key === 'pensionLumpSum' && amounts.pensionLumpSum !== '' && (
+              <View style={styles.subFields}>
+                <View style={styles.switchRow}>
+                  <Text style={styles.label}>Paid on Retirement</Text>
+                  <Switch
+                    value={onRetirement}
+                    onValueChange={setOnRetirement}
+                    trackColor={{ false: '#767577', true: '#81b0ff' }}
+                    thumbColor={onRetirement ? '#007bff' : '#f4f3f4'}
+                    ios_backgroundColor="#3e3e3e"
+                  />
+                </View>
+                {!onRetirement && (
+                  <>
+                    <Text style={styles.label}>Years of Fund Membership</Text>
+                    <TextInput
+                      style={styles.input}
+                      value={yearsOfService}
+                      onChangeText={setYearsOfService}
+                      keyboardType="numeric"
+                      placeholder="0"
+                    />
+                  </>
+                )}
+              </View>
+            )}
+          </View>
+        ))}
+
+        {errorMessage ? <Text style={styles.errorText}>{errorMessage}</Text> : null}
+
+        <Pressable style={({ pressed }) => [styles.button, pressed && { opacity: 0.8 }]} onPress={handleCalculate}>
+          <Text style={styles.buttonText}>Calculate Final Dues</Text>
+        </Pressable>
+
+        {dues && (
+          <>
+            <View style={styles.section}>
+              <Text style={styles.sectionHeader}>Final Month's Pay</Text>
+              <Pressable
+                style={styles.resultRow}
+                onPress={() => navigation.navigate('CalculationResult', { result: dues.finalMonth })}
+              >
+                <Text style={styles.resultLabel}>Gross Pay (tap for breakdown)</Text>
+                <Text style={styles.resultValue}>Ksh {dues.finalMonth.grossPay.toFixed(2)}</Text>
+              </Pressable>
+              <View style={styles.resultRow}>
+                <Text style={styles.resultLabel}>PAYE</Text>
+                <Text style={styles.resultValue}>Ksh {dues.finalMonth.paye.toFixed(2)}</Text>
+              </View>
+              <View style={styles.resultRow}>
+                <Text style={styles.resultLabel}>Other Deductions</Text>
+                <Text style={styles.resultValue}>Ksh {(dues.finalMonth.totalDeductions - dues.finalMonth.paye).toFixed(2)}</Text>
+              </View>
+            </View>
+
+            {dues.components.map((component) => (
+              <View key={component.type} style={styles.section}>
+                <Text style={styles.sectionHeader}>{component.label}</Text>
+                <Text style={styles.treatmentText}>{component.treatment}</Text>
+                <View style={styles.resultRow}>
+                  <Text style={styles.resultLabel}>Amount</Text>
+                  <Text style={styles.resultValue}>Ksh {component.amount.toFixed(2)}</Text>
+                </View>
+                {component.taxFree > 0 && (
+                  <View style={styles.resultRow}>
+                    <Text style={styles.resultLabel}>Tax-Free Portion</Text>
+                    <Text style={styles.resultValue}>Ksh {component.taxFree.toFixed(2)}</Text>
+                  </View>
+                )}
+                {(component.years || []).map((year) => (
+                  <View key={year.year} style={styles.resultRow}>
+                    <Text style={styles.yearLabel}>
+                      {year.year}: Ksh {year.amount.toFixed(2)} ({year.ruleSet.name})
+                    </Text>
+                    <Text style={styles.yearValue}>Tax Ksh {year.tax.toFixed(2)}</Text>
+                  </View>
+                ))}
+                <View style={styles.resultRow}>
+                  <Text style={styles.resultLabel}>Tax</Text>
+                  <Text style={styles.resultValue}>Ksh {component.tax.toFixed(2)}</Text>
+                </View>
+                {component.otherDeductions > 0 && (
+                  <View style={styles.resultRow}>
+                    <Text style={styles.resultLabel}>Other Deductions</Text>
+                    <Text style={styles.resultValue}>Ksh {component.otherDeductions.toFixed(2)}</Text>
+                  </View>
+                )}
+                <View style={styles.resultRow}>
+                  <Text style={styles.resultLabel}>Net</Text>
+                  <Text style={styles.resultValue}>Ksh {component.net.toFixed(2)}</Text>
+                </View>
+              </View>
+            ))}
+
+            <View style={styles.section}>
+              <Text style={styles.sectionHeader}>Total</Text>
+              {[
+                ['Total Paid', dues.totals.grossPay],
+                ['Total Tax', dues.totals.tax],
+                ['Other Deductions', dues.totals.otherDeductions],
+              ].map(([label, amount]) => (
+                <View key={label} style={styles.resultRow}>
+                  <Text style={styles.resultLabel}>{label}</Text>
+                  <Text style={styles.resultValue}>Ksh {amount.toFixed(2)}</Text>
+                </View>
+              ))}
+              <View style={[styles.resultRow, styles.totalRow]}>
+                <Text style={styles.totalText}>Net Final Dues</Text>
+                <Text style={styles.totalText}>Ksh {dues.totals.netPay.toFixed(2)}</Text>
+              </View>
+            </View>
+
+            <Pressable
+              style={({ pressed }) => [styles.button, styles.shareButton, pressed && { opacity: 0.8 }]}
+              onPress={handleShare}
+            >
+              <Feather name="download" size={18} color="#fff" />
+              <Text style={styles.buttonText}> Share Statement</Text>
+            </Pressable>
+          </>
+        )}
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  scrollViewContent: {
+    flexGrow: 1,
+    alignItems: 'center',
+    backgroundColor: '#f0f4f8',
+    paddingVertical: 20,
+  },
+  container: {
+    width: '95%',
+    maxWidth: 600,
+    backgroundColor: '#ffffff',
+    borderRadius: 15,
+    padding: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.2,
+    shadowRadius: 10,
+    elevation: 15,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 5,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6c757d',
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 16,
+    color: '#333',
+    marginBottom: 8,
+    fontWeight: '600',
+  },
+  input: {
+    backgroundColor: '#f9f9f9',
+    borderRadius: 8,
+    padding: 12,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    marginBottom: 15,
+    fontSize: 16,
+  },
+  subFields: {
+    borderLeftWidth: 3,
+    borderLeftColor: '#e3e8ee',
+    paddingLeft: 12,
+    marginBottom: 5,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 15,
+    paddingVertical: 5,
+  },
+  errorText: {
+    color: '#dc3545',
+    fontSize: 14,
+    marginBottom: 10,
+    textAlign: 'center',
+  },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#28a745',
+    paddingVertical: 14,
+    borderRadius: 8,
+    marginTop: 5,
+  },
+  shareButton: {
+    backgroundColor: '#17a2b8',
+    marginTop: 20,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  section: {
+    marginTop: 20,
+    paddingBottom: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  sectionHeader: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#34495e',
+    marginBottom: 6,
+  },
+  treatmentText: {
+    fontSize: 13,
+    color: '#6c757d',
+    marginBottom: 6,
+  },
+  resultRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  resultLabel: {
+    fontSize: 15,
+    color: '#555',
+  },
+  resultValue: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  yearLabel: {
+    flex: 1,
+    fontSize: 13,
+    color: '#6c757d',
+    paddingLeft: 10,
+  },
+  yearValue: {
+    fontSize: 13,
+    color: '#6c757d',
+  },
+  totalRow: {
+    borderBottomWidth: 0,
+    paddingTop: 10,
+  },
+  totalText: {
+    fontSize: 17,
+    fontWeight: 'bold',
+    color: '#28a745',
+  },
+});
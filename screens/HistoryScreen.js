@@ -1,48 +1,297 @@
-import React, { useContext } from 'react';
-import { View, Text, FlatList, StyleSheet, Pressable } from 'react-native';
+import React, { useContext, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  FlatList,
+  StyleSheet,
+  Pressable,
+  ActivityIndicator,
+  Alert,
+  Modal,
+} from 'react-native';
+import Swipeable from 'react-native-gesture-handler/Swipeable';
 import { Feather } from '@expo/vector-icons'; // Ensure you have this installed: `expo install @expo/vector-icons`
 import { useNavigation } from '@react-navigation/native';
 import { HistoryContext } from '../utils/HistoryContext'; // Import the HistoryContext
+import { filterHistory, parseDateFilter, parseAmountFilter } from '../utils/historyFilters';
 
 export default function HistoryScreen() {
   const navigation = useNavigation();
-  const { history } = useContext(HistoryContext); // Access history from the context
+  // Access history, its loading state and the history operations from the context
+  const { history, isLoading, deleteFromHistory, clearHistory, labelHistoryEntry } = useContext(HistoryContext);
 
-  // Render function for each item in the FlatList
-  const renderItem = ({ item, index }) => (
-    <Pressable
-      style={styles.historyItem}
-      // On press, navigate to CalculationResult screen, passing the specific history item's data
-      onPress={() => navigation.navigate('CalculationResult', { result: item })}
-    >
-      <Feather name="file-text" size={20} color="#007bff" />
-      <View style={styles.itemDetails}>
-        {/* Display Calculation # from newest to oldest */}
-        <Text style={styles.itemTitle}>Calculation #{history.length - index}</Text>
-        {/* Display Net Pay */}
-        <Text style={styles.itemSub}>Net Pay: Ksh {item.netPay.toFixed(2)}</Text>
-        {/* Display timestamp for better context in history */}
-        <Text style={styles.itemDate}>{new Date(item.timestamp).toLocaleString()}</Text>
-      </View>
-      <Feather name="chevron-right" size={20} color="#999" />
+  // Search and filter inputs (kept as text, parsed below)
+  const [query, setQuery] = useState('');
+  const [showFilters, setShowFilters] = useState(false);
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [minNetPay, setMinNetPay] = useState('');
+  const [maxNetPay, setMaxNetPay] = useState('');
+
+  // Multi-select: active once any id is selected (long-press an entry to start)
+  const [selectedIds, setSelectedIds] = useState([]);
+  const selecting = selectedIds.length > 0;
+
+  // Entry whose label is being edited in the modal
+  const [labelEntry, setLabelEntry] = useState(null);
+  const [labelText, setLabelText] = useState('');
+
+  const parsedFilters = {
+    fromDate: parseDateFilter(fromDate),
+    toDate: parseDateFilter(toDate, true),
+    minNetPay: parseAmountFilter(minNetPay),
+    maxNetPay: parseAmountFilter(maxNetPay),
+  };
+  // undefined marks an input that could not be parsed; it is reported and ignored
+  const hasFilterError = Object.values(parsedFilters).some((value) => value === undefined);
+  const activeFilterCount = Object.values(parsedFilters).filter((value) => value !== null && value !== undefined).length;
+
+  // Entries are numbered by their position in the full history, oldest = #1, so numbers stay put when filtering
+  const calculationNumbers = new Map(history.map((entry, index) => [entry, history.length - index]));
+  const filteredHistory = filterHistory(history, {
+    query,
+    fromDate: parsedFilters.fromDate ?? null,
+    toDate: parsedFilters.toDate ?? null,
+    minNetPay: parsedFilters.minNetPay ?? null,
+    maxNetPay: parsedFilters.maxNetPay ?? null,
+  });
+
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) => (prev.includes(id) ? prev.filter((selectedId) => selectedId !== id) : [...prev, id]));
+  };
+
+  const handleDeleteSelected = () => {
+    Alert.alert(
+      'Delete Calculations',
+      `Delete ${selectedIds.length} selected calculation${selectedIds.length === 1 ? '' : 's'}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => {
+            deleteFromHistory(selectedIds);
+            setSelectedIds([]);
+          },
+        },
+      ]
+    );
+  };
+
+  // Comparison takes two to four entries; the first selected is the baseline
+  const canCompare = selectedIds.length >= 2 && selectedIds.length <= 4;
+  const handleCompare = () => {
+    const entries = selectedIds.map((id) => history.find((entry) => entry.id === id)).filter(Boolean);
+    navigation.navigate('Comparison', { entries });
+  };
+
+  const handleClearAll = () => {
+    Alert.alert('Clear History', 'This permanently deletes all saved calculations.', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Clear All', style: 'destructive', onPress: clearHistory },
+    ]);
+  };
+
+  const openLabelEditor = (item) => {
+    setLabelEntry(item);
+    setLabelText(item.label || '');
+  };
+
+  const saveLabel = () => {
+    labelHistoryEntry(labelEntry.id, labelText);
+    setLabelEntry(null);
+  };
+
+  // Red "Delete" action revealed by swiping an entry left
+  const renderDeleteAction = (id) => (
+    <Pressable style={styles.swipeDelete} onPress={() => deleteFromHistory(id)}>
+      <Feather name="trash-2" size={20} color="#fff" />
+      <Text style={styles.swipeDeleteText}>Delete</Text>
     </Pressable>
   );
 
+  // Render function for each item in the FlatList
+  const renderItem = ({ item }) => {
+    const isSelected = selectedIds.includes(item.id);
+    const calculationNumber = calculationNumbers.get(item);
+
+    return (
+      <Swipeable renderRightActions={() => renderDeleteAction(item.id)} enabled={!selecting}>
+        <Pressable
+          style={[styles.historyItem, isSelected && styles.historyItemSelected]}
+          // On press, navigate to CalculationResult screen, passing the specific history item's data
+          onPress={() =>
+            selecting ? toggleSelected(item.id) : navigation.navigate('CalculationResult', { result: item })
+          }
+          onLongPress={() => toggleSelected(item.id)}
+        >
+          <Feather
+            name={selecting ? (isSelected ? 'check-square' : 'square') : 'file-text'}
+            size={20}
+            color="#007bff"
+          />
+          <View style={styles.itemDetails}>
+            {/* Display the custom label, or the Calculation # (oldest = #1, listed newest first) */}
+            <Text style={styles.itemTitle}>{item.label || `Calculation #${calculationNumber}`}</Text>
+            {/* Display Net Pay */}
+            <Text style={styles.itemSub}>Net Pay: Ksh {item.netPay.toFixed(2)}</Text>
+            {/* Display timestamp for better context in history */}
+            <Text style={styles.itemDate}>{new Date(item.timestamp).toLocaleString()}</Text>
+          </View>
+          {!selecting && (
+            <Pressable onPress={() => openLabelEditor(item)} hitSlop={10} style={styles.labelButton}>
+              <Feather name="tag" size={18} color="#6c757d" />
+            </Pressable>
+          )}
+          <Feather name="chevron-right" size={20} color="#999" />
+        </Pressable>
+      </Swipeable>
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <View style={styles.container}>
+        <Text style={styles.title}>Calculation History</Text>
+        <ActivityIndicator size="large" color="#6c757d" style={styles.loading} />
+      </View>
+    );
+  }
+
   return (
     <View style={styles.container}>
       <Text style={styles.title}>Calculation History</Text>
+
       {history.length === 0 ? (
         <Text style={styles.empty}>No calculations saved yet.</Text>
       ) : (
-        <FlatList
-          // Reverse the history array to show the most recent calculation first
-          data={[...history].reverse()}
-          // Use the timestamp as a key if available, otherwise fallback to index
-          keyExtractor={(item, index) => item.timestamp || index.toString()}
-          renderItem={renderItem}
-          contentContainerStyle={styles.flatListContent}
-        />
+        <>
+          <View style={styles.searchRow}>
+            <Feather name="search" size={18} color="#888" />
+            <TextInput
+              style={styles.searchInput}
+              value={query}
+              onChangeText={setQuery}
+              placeholder="Search by label or amount"
+              autoCorrect={false}
+              autoCapitalize="none"
+            />
+            <Pressable onPress={() => setShowFilters((prev) => !prev)} hitSlop={10}>
+              <Feather name="filter" size={18} color={activeFilterCount > 0 ? '#007bff' : '#888'} />
+            </Pressable>
+          </View>
+
+          {showFilters && (
+            <View style={styles.filterPanel}>
+              <View style={styles.filterRow}>
+                <TextInput
+                  style={styles.filterInput}
+                  value={fromDate}
+                  onChangeText={setFromDate}
+                  placeholder="From (YYYY-MM-DD)"
+                  keyboardType="numbers-and-punctuation"
+                />
+                <TextInput
+                  style={styles.filterInput}
+                  value={toDate}
+                  onChangeText={setToDate}
+                  placeholder="To (YYYY-MM-DD)"
+                  keyboardType="numbers-and-punctuation"
+                />
+              </View>
+              <View style={styles.filterRow}>
+                <TextInput
+                  style={styles.filterInput}
+                  value={minNetPay}
+                  onChangeText={setMinNetPay}
+                  placeholder="Min Net Pay"
+                  keyboardType="numeric"
+                />
+                <TextInput
+                  style={styles.filterInput}
+                  value={maxNetPay}
+                  onChangeText={setMaxNetPay}
+                  placeholder="Max Net Pay"
+                  keyboardType="numeric"
+                />
+              </View>
+              {hasFilterError && (
+                <Text style={styles.filterError}>Dates must be YYYY-MM-DD and amounts non-negative numbers.</Text>
+              )}
+            </View>
+          )}
+
+          {/* Toolbar: bulk actions while selecting, otherwise P9 cards and Clear All */}
+          <View style={styles.toolbar}>
+            {selecting ? (
+              <>
+                <Text style={styles.toolbarText}>{selectedIds.length} selected</Text>
+                <Pressable onPress={() => setSelectedIds(filteredHistory.map((entry) => entry.id))} hitSlop={10}>
+                  <Text style={styles.toolbarAction}>Select All</Text>
+                </Pressable>
+                <Pressable onPress={handleCompare} disabled={!canCompare} hitSlop={10}>
+                  <Text style={[styles.toolbarAction, !canCompare && styles.toolbarDisabled]}>Compare</Text>
+                </Pressable>
+                <Pressable onPress={handleDeleteSelected} hitSlop={10}>
+                  <Text style={[styles.toolbarAction, styles.toolbarDanger]}>Delete</Text>
+                </Pressable>
+                <Pressable onPress={() => setSelectedIds([])} hitSlop={10}>
+                  <Text style={styles.toolbarAction}>Cancel</Text>
+                </Pressable>
+              </>
+            ) : (
+              <>
+                <Text style={styles.toolbarText}>
+                  {filteredHistory.length} of {history.length} · long-press to select
+                </Text>
+                <Pressable onPress={() => navigation.navigate('P9Card')} hitSlop={10}>
+                  <Text style={styles.toolbarAction}>P9 Cards</Text>
+                </Pressable>
+                <Pressable onPress={handleClearAll} hitSlop={10}>
+                  <Text style={[styles.toolbarAction, styles.toolbarDanger]}>Clear All</Text>
+                </Pressable>
+              </>
+            )}
+          </View>
+
+          <FlatList
+            // History is stored newest first, so the most recent calculation is shown first
+            data={filteredHistory}
+            // Use the id as a key if available, otherwise fallback to the timestamp
+            keyExtractor={(item, index) => item.id || item.timestamp || index.toString()}
+            renderItem={renderItem}
+            extraData={selectedIds}
+            contentContainerStyle={styles.flatListContent}
+            ListEmptyComponent={<Text style={styles.empty}>No calculations match your search.</Text>}
+          />
+        </>
       )}
+
+      {/* Label editor */}
+      <Modal visible={labelEntry !== null} transparent animationType="fade" onRequestClose={() => setLabelEntry(null)}>
+        <View style={styles.modalBackdrop}>
+          <View style={styles.modalCard}>
+            <Text style={styles.modalTitle}>Label Calculation</Text>
+            <TextInput
+              style={styles.modalInput}
+              value={labelText}
+              onChangeText={setLabelText}
+              placeholder="e.g. Jane Wanjiru or March offer"
+              autoFocus
+              maxLength={60}
+            />
+            <View style={styles.modalButtons}>
+              <Pressable style={[styles.modalButton, styles.modalCancel]} onPress={() => setLabelEntry(null)}>
+                <Text style={styles.modalButtonText}>Cancel</Text>
+              </Pressable>
+              <Pressable style={styles.modalButton} onPress={saveLabel}>
+                <Text style={styles.modalButtonText}>Save</Text>
+              </Pressable>
+            </View>
+          </View>
+        </View>
+      </Modal>
     </View>
   );
 }
@@ -60,12 +309,81 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     color: '#333',
   },
+  loading: {
+    marginTop: 50,
+  },
   empty: {
     textAlign: 'center',
     color: '#666',
     marginTop: 50,
     fontSize: 16,
   },
+  searchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    marginBottom: 10,
+  },
+  searchInput: {
+    flex: 1,
+    paddingVertical: 10,
+    paddingHorizontal: 10,
+    fontSize: 16,
+  },
+  filterPanel: {
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 10,
+    padding: 10,
+    marginBottom: 10,
+  },
+  filterRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  filterInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    padding: 8,
+    margin: 4,
+    fontSize: 14,
+  },
+  filterError: {
+    color: 'red',
+    fontSize: 13,
+    marginTop: 4,
+    textAlign: 'center',
+  },
+  toolbar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 10,
+  },
+  toolbarText: {
+    flex: 1,
+    color: '#666',
+    fontSize: 14,
+  },
+  toolbarAction: {
+    color: '#007bff',
+    fontSize: 15,
+    fontWeight: '600',
+    marginLeft: 15,
+  },
+  toolbarDanger: {
+    color: '#dc3545',
+  },
+  toolbarDisabled: {
+    color: '#bbb',
+  },
   flatListContent: {
     paddingBottom: 20, // Add some padding at the bottom for scrolling
   },
@@ -84,6 +402,10 @@ const styles = StyleSheet.create({
     shadowRadius: 4,
     elevation: 3, // Android shadow
   },
+  historyItemSelected: {
+    borderColor: '#007bff',
+    backgroundColor: '#eaf3ff',
+  },
   itemDetails: {
     flex: 1,
     marginLeft: 15,
@@ -103,4 +425,65 @@ const styles = StyleSheet.create({
     fontSize: 12,
     marginTop: 5,
   },
+  labelButton: {
+    paddingHorizontal: 10,
+  },
+  swipeDelete: {
+    backgroundColor: '#dc3545',
+    justifyContent: 'center',
+    alignItems: 'center',
+    width: 90,
+    marginBottom: 10,
+    borderRadius: 10,
+  },
+  swipeDeleteText: {
+    color: '#fff',
+    fontWeight: 'bold',
+    marginTop: 4,
+  },
+  modalBackdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalCard: {
+    width: '85%',
+    maxWidth: 400,
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 20,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 15,
+  },
+  modalInput: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginBottom: 15,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  modalButton: {
+    backgroundColor: '#007bff',
+    paddingVertical: 10,
+    paddingHorizontal: 18,
+    borderRadius: 8,
+    marginLeft: 10,
+  },
+  modalCancel: {
+    backgroundColor: '#6c757d',
+  },
+  modalButtonText: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
 });
@@ -1,4 +1,4 @@
-import React, { useState, useContext, useCallback } from 'react'; // Re-added useCallback
+import React, { useState, useContext, useCallback, useEffect } from 'react'; // Re-added useCallback
 import {
   View,
   Text,
@@ -13,19 +13,40 @@ import {
 } from 'react-native';
 import { Picker } from '@react-native-picker/picker'; // Ensure this is installed: `npm install @react-native-picker/picker`
 
-import { calculatePAYE } from '../utils/payeLogic';
+import { calculatePAYE, calculateGrossFromNet, HOUSING_TYPES, TAX_STATUSES } from '../utils/payeLogic';
+import { WAGE_OCCUPATIONS, WAGE_AREAS } from '../utils/minimumWage';
+import { getTaxRules, prorateRules, formatPayPeriod, PAY_FREQUENCIES } from '../utils/taxRules';
 import { HistoryContext } from '../utils/HistoryContext'; // Import HistoryContext
+import BenefitsEditor, { parseBenefitItems } from '../components/BenefitsEditor';
+import EarningsEditor, { parseEarningItems } from '../components/EarningsEditor';
+import DeductionsEditor, { parseDeductionItems } from '../components/DeductionsEditor';
 
-export default function NetPayCalculator({ navigation }) {
+export default function NetPayCalculator({ route, navigation }) {
   const { addToHistory } = useContext(HistoryContext); // Access addToHistory from context
 
+  // 'grossToNet' computes take-home from gross; 'netToGross' solves the gross for a target take-home
+  const [mode, setMode] = useState('grossToNet');
+
   // State variables for all input fields
+  const [payPeriod, setPayPeriod] = useState(formatPayPeriod(new Date())); // 'YYYY-MM', picks the statutory rules
+  const [payFrequency, setPayFrequency] = useState('monthly'); // Key of PAY_FREQUENCIES; amounts are entered per pay period
+  const [taxStatus, setTaxStatus] = useState('primary'); // Key of TAX_STATUSES, picks PAYE or withholding tax
+  const [occupation, setOccupation] = useState(''); // Key of WAGE_OCCUPATIONS; '' skips the minimum wage check
+  const [wageArea, setWageArea] = useState('cities'); // Key of WAGE_AREAS, for General Order occupations
   const [grossPay, setGrossPay] = useState('');
+  const [earnings, setEarnings] = useState([]); // Overtime, commission, bonus, leave pay and arrears paid this month
+  const [postTaxDeductions, setPostTaxDeductions] = useState([]); // SACCO, HELB, union dues, advances, court orders
   const [benefits, setBenefits] = useState('0');
+  const [benefitItems, setBenefitItems] = useState([]); // Itemised benefits, valued by type inside calculatePAYE
   const [pension, setPension] = useState('0');
   const [allowableDeductions, setAllowableDeductions] = useState('0');
+  // Itemised reliefs and deductions (capped inside calculatePAYE)
+  const [insurancePremiums, setInsurancePremiums] = useState('0');
+  const [mortgageInterest, setMortgageInterest] = useState('0');
+  const [postRetirementMedical, setPostRetirementMedical] = useState('0');
+  const [hasDisabilityExemption, setHasDisabilityExemption] = useState(false);
   const [housed, setHoused] = useState(false);
-  const [housingType, setHousingType] = useState('1'); // '1' for Ordinary, '2' for Farm
+  const [housingType, setHousingType] = useState('1'); // Key of HOUSING_TYPES: '1' Ordinary, '2' Farm, '3'/'4' Director
   const [housingValue, setHousingValue] = useState('0');
   const [rent, setRent] = useState('0');
 
@@ -38,52 +59,96 @@ export default function NetPayCalculator({ navigation }) {
   const [loading, setLoading] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
 
+  // A contribution applied from the pension optimiser
+  const appliedPension = route.params?.appliedPension;
+  useEffect(() => {
+    if (appliedPension) setPension(String(appliedPension.amount));
+  }, [appliedPension]);
+
+  const periodUnit = PAY_FREQUENCIES[payFrequency].unit; // 'month', 'week', ... for input labels
+  // Non-cash benefits exemption of the rules in force, per pay period; null while the pay period is invalid
+  const benefitsExemption = (() => {
+    try {
+      return prorateRules(getTaxRules(payPeriod), payFrequency).benefitsExemption;
+    } catch (err) {
+      return null;
+    }
+  })();
+
   // Re-introducing useCallback for setters passed to memoized components
+  const handleSetPayPeriod = useCallback(text => setPayPeriod(text), []);
   const handleSetGrossPay = useCallback(text => setGrossPay(text), []);
   const handleSetBenefits = useCallback(text => setBenefits(text), []);
   const handleSetPension = useCallback(text => setPension(text), []);
   const handleSetAllowableDeductions = useCallback(text => setAllowableDeductions(text), []);
+  const handleSetInsurancePremiums = useCallback(text => setInsurancePremiums(text), []);
+  const handleSetMortgageInterest = useCallback(text => setMortgageInterest(text), []);
+  const handleSetPostRetirementMedical = useCallback(text => setPostRetirementMedical(text), []);
   const handleSetHousingValue = useCallback(text => setHousingValue(text), []);
   const handleSetRent = useCallback(text => setRent(text), []);
   // Note: For simple boolean setters like setHoused, setIgnoreBenefits etc., useCallback is less critical
   // unless those setters are frequently passed as props to deeply nested, memoized components.
 
-  const handleCalculate = async () => {
-    setLoading(true); // Start loading indicator
-    setErrorMessage(''); // Clear any previous error messages
-
+  // Parses and validates the form. Returns { amount, params } for calculatePAYE, or null after showing the error.
+  // amount is the gross pay, or the target net pay in Net → Gross mode.
+  const readInputs = () => {
     // Parse all string inputs to numbers. Use 0 if empty or invalid for optional fields.
+    // In Net → Gross mode the amount field holds the target net pay.
     const parsedGross = parseFloat(grossPay);
     const parsedBenefits = parseFloat(benefits || '0');
     const parsedPension = parseFloat(pension || '0');
     const parsedAllowableDeductions = parseFloat(allowableDeductions || '0');
+    const parsedInsurancePremiums = parseFloat(insurancePremiums || '0');
+    const parsedMortgageInterest = parseFloat(mortgageInterest || '0');
+    const parsedPostRetirementMedical = parseFloat(postRetirementMedical || '0');
     const parsedHousingValue = parseFloat(housingValue || '0');
     const parsedRent = parseFloat(rent || '0');
+    const parsedBenefitItems = parseBenefitItems(benefitItems); // null if any item field is invalid
+    const parsedEarnings = parseEarningItems(earnings); // null if any amount is invalid
+    const parsedPostTaxDeductions = parseDeductionItems(postTaxDeductions); // null if any amount is invalid
 
     // --- Input Validation ---
+    try {
+      getTaxRules(payPeriod); // Throws if the period is malformed or predates the supported rule sets
+    } catch (err) {
+      setErrorMessage(err.message);
+      return null;
+    }
+
     if (isNaN(parsedGross) || parsedGross <= 0) {
-      setErrorMessage('Gross Pay must be a positive number.');
-      setLoading(false);
-      return;
+      setErrorMessage(mode === 'netToGross' ? 'Target Net Pay must be a positive number.' : 'Gross Pay must be a positive number.');
+      return null;
     }
 
     if (
       isNaN(parsedBenefits) || parsedBenefits < 0 ||
       isNaN(parsedPension) || parsedPension < 0 ||
       isNaN(parsedAllowableDeductions) || parsedAllowableDeductions < 0 ||
+      isNaN(parsedInsurancePremiums) || parsedInsurancePremiums < 0 ||
+      isNaN(parsedMortgageInterest) || parsedMortgageInterest < 0 ||
+      isNaN(parsedPostRetirementMedical) || parsedPostRetirementMedical < 0 ||
+      parsedBenefitItems === null ||
+      parsedEarnings === null ||
+      parsedPostTaxDeductions === null ||
       (housed && (isNaN(parsedHousingValue) || parsedHousingValue < 0 || isNaN(parsedRent) || parsedRent < 0))
     ) {
       setErrorMessage('Please ensure all numerical inputs are valid non-negative numbers.');
-      setLoading(false);
-      return;
+      return null;
     }
 
-    try {
-      const result = await calculatePAYE({
-        grossPay: parsedGross,
+    return {
+      amount: parsedGross,
+      params: {
+        earnings: parsedEarnings,
+        postTaxDeductions: parsedPostTaxDeductions,
         benefits: parsedBenefits,
+        benefitItems: parsedBenefitItems,
         pension: parsedPension,
         allowableDeductions: parsedAllowableDeductions,
+        insurancePremiums: parsedInsurancePremiums,
+        mortgageInterest: parsedMortgageInterest,
+        postRetirementMedical: parsedPostRetirementMedical,
+        hasDisabilityExemption,
         housed,
         housingType,
         housingValue: parsedHousingValue,
@@ -92,13 +157,75 @@ export default function NetPayCalculator({ navigation }) {
         use2025Tiers,
         deductTier2,
         deductAHL,
-      });
+        taxStatus,
+        occupation: occupation || undefined,
+        wageArea,
+        payPeriod,
+        payFrequency,
+      },
+    };
+  };
+
+  // Final dues start from the final month's gross pay as entered in the form
+  const handleFinalDues = () => {
+    setErrorMessage('');
+    if (mode === 'netToGross') {
+      setErrorMessage('Final dues start from the gross pay; switch to Gross → Net.');
+      return;
+    }
+    const inputs = readInputs();
+    if (inputs) {
+      navigation.navigate('FinalDues', { salaryParams: { ...inputs.params, grossPay: inputs.amount } });
+    }
+  };
+
+  // Scenarios sweep gross pay around the amount entered, keeping every other input
+  const handleScenarios = () => {
+    setErrorMessage('');
+    if (mode === 'netToGross') {
+      setErrorMessage('Salary scenarios start from the gross pay; switch to Gross → Net.');
+      return;
+    }
+    const inputs = readInputs();
+    if (inputs) {
+      navigation.navigate('Scenarios', { params: inputs.params, grossPay: inputs.amount });
+    }
+  };
+
+  // The optimiser tries pension contributions against this form's pay and toggles
+  const handlePensionOptimiser = () => {
+    setErrorMessage('');
+    if (mode === 'netToGross') {
+      setErrorMessage('The pension optimiser starts from the gross pay; switch to Gross → Net.');
+      return;
+    }
+    const inputs = readInputs();
+    if (inputs) {
+      navigation.navigate('PensionOptimiser', { params: { ...inputs.params, grossPay: inputs.amount } });
+    }
+  };
+
+  const handleCalculate = async () => {
+    setLoading(true); // Start loading indicator
+    setErrorMessage(''); // Clear any previous error messages
+
+    const inputs = readInputs();
+    if (!inputs) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      const { amount, params } = inputs;
+      const result = mode === 'netToGross'
+        ? await calculateGrossFromNet(amount, params)
+        : await calculatePAYE({ ...params, grossPay: amount });
 
       addToHistory(result); // Save result to history context
       navigation.navigate('CalculationResult', { result }); // Navigate to results screen
 
     } catch (err) {
-      setErrorMessage('An error occurred during calculation. Please try again.');
+      setErrorMessage(err.message || 'An error occurred during calculation. Please try again.');
       console.error("Calculation error:", err); // Log full error for debugging
     } finally {
       setLoading(false); // Stop loading indicator
@@ -106,10 +233,23 @@ export default function NetPayCalculator({ navigation }) {
   };
 
   const resetAll = () => {
+    setMode('grossToNet');
+    setPayPeriod(formatPayPeriod(new Date()));
+    setTaxStatus('primary');
+    setPayFrequency('monthly');
     setGrossPay('');
+    setEarnings([]);
+    setPostTaxDeductions([]);
+    setOccupation('');
+    setWageArea('cities');
     setBenefits('0');
+    setBenefitItems([]);
     setPension('0');
     setAllowableDeductions('0');
+    setInsurancePremiums('0');
+    setMortgageInterest('0');
+    setPostRetirementMedical('0');
+    setHasDisabilityExemption(false);
     setHousingValue('0');
     setRent('0');
     setHoused(false);
@@ -123,7 +263,7 @@ export default function NetPayCalculator({ navigation }) {
 
   // --- Helper Components (Re-introduced React.memo for stability) ---
 
-  const LabelInput = React.memo(function LabelInput({ label, value, setValue }) { // Changed back to React.memo
+  const LabelInput = React.memo(function LabelInput({ label, value, setValue, keyboardType = 'numeric', placeholder = 'e.g. 10000' }) { // Changed back to React.memo
     // console.log(`Rendering LabelInput: ${label}, value: ${value}`); // Uncomment for debugging re-renders
     return (
       <View style={styles.fieldContainer}>
@@ -132,8 +272,8 @@ export default function NetPayCalculator({ navigation }) {
           style={styles.input}
           value={value}
           onChangeText={setValue}
-          keyboardType="numeric"
-          placeholder="e.g. 10000"
+          keyboardType={keyboardType}
+          placeholder={placeholder}
           key={label} // Keeping key prop
           selectTextOnFocus={true}
           autoComplete="off"
@@ -167,10 +307,142 @@ export default function NetPayCalculator({ navigation }) {
         <View style={styles.innerContainer}>
           <Text style={styles.title}>PAYE Net Pay Calculator</Text>
 
-          <LabelInput label="Gross Pay (Ksh)" value={grossPay} setValue={handleSetGrossPay} />
-          <LabelInput label="Non-Cash Benefits (Ksh)" value={benefits} setValue={handleSetBenefits} />
-          <LabelInput label="Pension Contribution (Ksh)" value={pension} setValue={handleSetPension} />
-          <LabelInput label="Other Allowable Deductions (Ksh)" value={allowableDeductions} setValue={handleSetAllowableDeductions} />
+          <View style={styles.modeSwitch}>
+            {[
+              { value: 'grossToNet', label: 'Gross → Net' },
+              { value: 'netToGross', label: 'Net → Gross' },
+            ].map((option) => (
+              <Pressable
+                key={option.value}
+                style={[styles.modeOption, mode === option.value && styles.modeOptionActive]}
+                onPress={() => setMode(option.value)}
+                disabled={loading}
+              >
+                <Text style={[styles.modeOptionText, mode === option.value && styles.modeOptionTextActive]}>
+                  {option.label}
+                </Text>
+              </Pressable>
+            ))}
+          </View>
+
+          <LabelInput
+            label="Pay Period (YYYY-MM)"
+            value={payPeriod}
+            setValue={handleSetPayPeriod}
+            keyboardType="numbers-and-punctuation"
+            placeholder="e.g. 2025-03"
+          />
+
+          <Text style={styles.label}>Pay Frequency</Text>
+          <View style={styles.pickerWrapper}>
+            <Picker
+              selectedValue={payFrequency}
+              onValueChange={setPayFrequency}
+              style={styles.picker}
+              itemStyle={styles.pickerItem}
+              key="payFrequencyPicker"
+            >
+              {Object.entries(PAY_FREQUENCIES).map(([value, { label }]) => (
+                <Picker.Item key={value} label={label} value={value} />
+              ))}
+            </Picker>
+          </View>
+          {payFrequency !== 'monthly' && (
+            <Text style={styles.hintText}>
+              Enter every amount per {periodUnit}. Bands, reliefs and caps are pro-rated to match.
+            </Text>
+          )}
+
+          <Text style={styles.label}>Employee Status</Text>
+          <View style={styles.pickerWrapper}>
+            <Picker
+              selectedValue={taxStatus}
+              onValueChange={setTaxStatus}
+              style={styles.picker}
+              itemStyle={styles.pickerItem}
+              key="taxStatusPicker"
+            >
+              {Object.entries(TAX_STATUSES).map(([value, { label }]) => (
+                <Picker.Item key={value} label={label} value={value} />
+              ))}
+            </Picker>
+          </View>
+          <Text style={styles.hintText}>{TAX_STATUSES[taxStatus].regime}</Text>
+
+          <LabelInput
+            label={`${mode === 'netToGross' ? 'Target Net Pay' : 'Gross Pay'} (Ksh/${periodUnit})`}
+            value={grossPay}
+            setValue={handleSetGrossPay}
+          />
+          <Text style={styles.sectionTitle}>Irregular Earnings</Text>
+          <EarningsEditor items={earnings} onChange={setEarnings} />
+
+          <LabelInput label={`Other Non-Cash Benefits (Ksh/${periodUnit})`} value={benefits} setValue={handleSetBenefits} />
+          <LabelInput label={`Pension Contribution (Ksh/${periodUnit})`} value={pension} setValue={handleSetPension} />
+          <LabelInput
+            label={`Other Allowable Deductions (Ksh/${periodUnit})`}
+            value={allowableDeductions}
+            setValue={handleSetAllowableDeductions}
+          />
+
+          <Text style={styles.sectionTitle}>Itemised Benefits</Text>
+          <BenefitsEditor items={benefitItems} onChange={setBenefitItems} />
+
+          <Text style={styles.sectionTitle}>Post-Tax Deductions</Text>
+          <Text style={styles.hintText}>
+            Taken from net pay only; they don't reduce tax. Deducted in priority order while take-home pay stays above a third of gross.
+          </Text>
+          <DeductionsEditor items={postTaxDeductions} onChange={setPostTaxDeductions} />
+
+          <Text style={styles.sectionTitle}>Minimum Wage Check</Text>
+          <Text style={styles.label}>Occupation</Text>
+          <View style={styles.pickerWrapper}>
+            <Picker
+              selectedValue={occupation}
+              onValueChange={setOccupation}
+              style={styles.picker}
+              itemStyle={styles.pickerItem}
+              key="occupationPicker"
+            >
+              <Picker.Item label="Not checked" value="" />
+              {Object.entries(WAGE_OCCUPATIONS).map(([value, { label }]) => (
+                <Picker.Item key={value} label={label} value={value} />
+              ))}
+            </Picker>
+          </View>
+          {/* Agricultural minimums are the same everywhere */}
+          {occupation !== '' && WAGE_OCCUPATIONS[occupation].sector === 'general' && (
+            <>
+              <Text style={styles.label}>Location</Text>
+              <View style={styles.pickerWrapper}>
+                <Picker
+                  selectedValue={wageArea}
+                  onValueChange={setWageArea}
+                  style={styles.picker}
+                  itemStyle={styles.pickerItem}
+                  key="wageAreaPicker"
+                >
+                  {Object.entries(WAGE_AREAS).map(([value, label]) => (
+                    <Picker.Item key={value} label={label} value={value} />
+                  ))}
+                </Picker>
+              </View>
+            </>
+          )}
+
+          <Text style={styles.sectionTitle}>Tax Reliefs & Deductions</Text>
+          <LabelInput label={`Insurance Premiums (Ksh/${periodUnit})`} value={insurancePremiums} setValue={handleSetInsurancePremiums} />
+          <LabelInput label={`Mortgage Interest (Ksh/${periodUnit})`} value={mortgageInterest} setValue={handleSetMortgageInterest} />
+          <LabelInput
+            label={`Post-Retirement Medical Fund (Ksh/${periodUnit})`}
+            value={postRetirementMedical}
+            setValue={handleSetPostRetirementMedical}
+          />
+          <SwitchRow
+            label="Disability Exemption Certificate"
+            value={hasDisabilityExemption}
+            onValueChange={setHasDisabilityExemption}
+          />
 
           <SwitchRow label="Housed by Employer" value={housed} onValueChange={setHoused} />
 
@@ -185,18 +457,29 @@ export default function NetPayCalculator({ navigation }) {
                   itemStyle={styles.pickerItem}
                   key="housingTypePicker" // Ensure stable key for Picker
                 >
-                  <Picker.Item label="Ordinary" value="1" />
-                  <Picker.Item label="Farm" value="2" />
+                  {Object.entries(HOUSING_TYPES).map(([value, label]) => (
+                    <Picker.Item key={value} label={label} value={value} />
+                  ))}
                 </Picker>
               </View>
 
-              <LabelInput label="Value of Housing (Ksh)" value={housingValue} setValue={handleSetHousingValue} />
-              <LabelInput label="Rent Paid to Employer (Ksh)" value={rent} setValue={handleSetRent} />
+              <LabelInput
+                label={`Market Rental Value of Housing (Ksh/${periodUnit})`}
+                value={housingValue}
+                setValue={handleSetHousingValue}
+              />
+              <LabelInput label={`Rent Paid to Employer (Ksh/${periodUnit})`} value={rent} setValue={handleSetRent} />
             </>
           )}
 
-          <SwitchRow label="Ignore Benefits ≤ Ksh 5,000" value={ignoreBenefits} onValueChange={setIgnoreBenefits} />
-          <SwitchRow label="Use 2025 NSSF Tiers" value={use2025Tiers} onValueChange={setUse2025Tiers} />
+          <SwitchRow
+            label={benefitsExemption !== null
+              ? `Ignore Benefits ≤ Ksh ${benefitsExemption.toLocaleString('en-KE', { maximumFractionDigits: 2 })}`
+              : 'Ignore Exempt Benefits'}
+            value={ignoreBenefits}
+            onValueChange={setIgnoreBenefits}
+          />
+          <SwitchRow label="Use NSSF Act 2013 Tiers" value={use2025Tiers} onValueChange={setUse2025Tiers} />
           <SwitchRow label="Deduct Tier II NSSF" value={deductTier2} onValueChange={setDeductTier2} />
           <SwitchRow label="Deduct AHL" value={deductAHL} onValueChange={setDeductAHL} />
 
@@ -226,6 +509,41 @@ export default function NetPayCalculator({ navigation }) {
             <Text style={styles.buttonText}>View History</Text>
           </Pressable>
 
+          {/* Net pay and tax rates across a range of gross pay */}
+          <Pressable
+            style={({ pressed }) => [styles.button, styles.scenariosButton, pressed && { opacity: 0.8 }]}
+            onPress={handleScenarios}
+            disabled={loading}
+          >
+            <Text style={styles.buttonText}>Salary Scenarios</Text>
+          </Pressable>
+
+          {/* Tax saved and take-home cost at each pension contribution */}
+          <Pressable
+            style={({ pressed }) => [styles.button, styles.pensionOptimiserButton, pressed && { opacity: 0.8 }]}
+            onPress={handlePensionOptimiser}
+            disabled={loading}
+          >
+            <Text style={styles.buttonText}>Pension Optimiser</Text>
+          </Pressable>
+
+          {/* Terminal benefits for a leaving employee, on top of this form's pay as the final month */}
+          <Pressable
+            style={({ pressed }) => [styles.button, styles.finalDuesButton, pressed && { opacity: 0.8 }]}
+            onPress={handleFinalDues}
+            disabled={loading}
+          >
+            <Text style={styles.buttonText}>Final Dues</Text>
+          </Pressable>
+
+          {/* Run the whole payroll from a CSV instead of one employee at a time */}
+          <Pressable
+            style={({ pressed }) => [styles.button, styles.batchButton, pressed && { opacity: 0.8 }]}
+            onPress={() => navigation.navigate('BatchPayroll')}
+          >
+            <Text style={styles.buttonText}>Batch Payroll (CSV)</Text>
+          </Pressable>
+
         </View>
       </ScrollView>
     </KeyboardAvoidingView>
@@ -259,6 +577,41 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     color: '#2c3e50',
   },
+  modeSwitch: {
+    flexDirection: 'row',
+    borderWidth: 1,
+    borderColor: '#007bff',
+    borderRadius: 8,
+    overflow: 'hidden',
+    marginBottom: 20,
+  },
+  modeOption: {
+    flex: 1,
+    paddingVertical: 10,
+    alignItems: 'center',
+    backgroundColor: '#fff',
+  },
+  modeOptionActive: {
+    backgroundColor: '#007bff',
+  },
+  modeOptionText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#007bff',
+  },
+  modeOptionTextActive: {
+    color: '#fff',
+  },
+  sectionTitle: {
+    fontSize: 17,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginTop: 10,
+    marginBottom: 15,
+    paddingTop: 15,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
   label: {
     fontSize: 16,
     marginBottom: 8,
@@ -285,6 +638,12 @@ const styles = StyleSheet.create({
     marginBottom: 15,
     paddingVertical: 5,
   },
+  hintText: {
+    fontSize: 13,
+    color: '#6c757d',
+    marginTop: -10,
+    marginBottom: 15,
+  },
   pickerWrapper: {
     backgroundColor: '#fff',
     borderColor: '#ccc',
@@ -314,6 +673,18 @@ const styles = StyleSheet.create({
   historyButton: {
     backgroundColor: '#343a40',
   },
+  batchButton: {
+    backgroundColor: '#17a2b8',
+  },
+  scenariosButton: {
+    backgroundColor: '#6f42c1',
+  },
+  pensionOptimiserButton: {
+    backgroundColor: '#20c997',
+  },
+  finalDuesButton: {
+    backgroundColor: '#fd7e14',
+  },
   buttonText: {
     color: '#fff',
     fontWeight: 'bold',
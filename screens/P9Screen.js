@@ -0,0 +1,423 @@
+// screens/P9Screen.js
+import React, { useContext, useState } from 'react';
+import { View, Text, TextInput, ScrollView, Pressable, StyleSheet, Alert } from 'react-native';
+import { Picker } from '@react-native-picker/picker';
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+import { Feather } from '@expo/vector-icons';
+
+import { HistoryContext } from '../utils/HistoryContext';
+import { P9_COLUMNS, listP9Employees, buildP9Card, buildP9Html } from '../utils/p9Card';
+import { reconcileYear } from '../utils/yearEndReconciliation';
+
+// Reconciles a complete card; returns { error } when its months can't be reconciled (e.g. mixed tax statuses)
+function reconcileCard(card) {
+  try {
+    // Older history entries have no payPeriod; the card has already placed them by the date they were saved
+    return { reconciliation: reconcileYear(card.months.map((month) => ({ result: { ...month.entry, payPeriod: month.payPeriod } }))) };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+const RECONCILIATION_STATUS = {
+  balanced: { text: 'PAYE withheld matches the annual liability.', color: '#28a745' },
+  underDeducted: { text: 'Too little PAYE was withheld.', color: '#dc3545' },
+  overDeducted: { text: 'Too much PAYE was withheld.', color: '#fd7e14' },
+};
+
+export default function P9Screen({ navigation }) {
+  const { history } = useContext(HistoryContext);
+  const employees = listP9Employees(history);
+
+  const [pickedEmployee, setEmployee] = useState('');
+  const [yearText, setYearText] = useState(String(new Date().getFullYear()));
+
+  // Falls back to the first employee until one is picked (or if the picked label was removed)
+  const employee = employees.includes(pickedEmployee) ? pickedEmployee : employees[0];
+  const year = parseInt(yearText, 10);
+  const validYear = /^\d{4}$/.test(yearText);
+  const card = employee && validYear ? buildP9Card(history, employee, year) : null;
+  const recordedMonths = card ? 12 - card.missingMonths.length : 0;
+  const { reconciliation, error: reconciliationError } = recordedMonths === 12 ? reconcileCard(card) : {};
+
+  const handleExport = async () => {
+    try {
+      const { uri } = await Print.printToFileAsync({ html: buildP9Html(card), width: 842, height: 595 }); // A4 landscape
+      await Sharing.shareAsync(uri, { mimeType: 'application/pdf', UTI: 'com.adobe.pdf', dialogTitle: 'Share P9A card' });
+    } catch (error) {
+      console.error('P9 PDF error:', error);
+      Alert.alert('Error', 'Failed to create or share the P9A card.');
+    }
+  };
+
+  // Exporting an incomplete card is allowed (e.g. an employee who joined mid-year) but confirmed first
+  const confirmExport = () => {
+    if (card.missingMonths.length === 0) {
+      handleExport();
+      return;
+    }
+    Alert.alert('Incomplete Year', `No calculation for: ${card.missingMonths.join(', ')}. Export anyway?`, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Export', onPress: handleExport },
+    ]);
+  };
+
+  if (employees.length === 0) {
+    return (
+      <View style={styles.emptyContainer}>
+        <Text style={styles.title}>P9A Tax Deduction Card</Text>
+        <Text style={styles.empty}>
+          Label monthly calculations in History with the employee's name to build their P9A card.
+        </Text>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView contentContainerStyle={styles.scrollViewContent}>
+      <View style={styles.container}>
+        <Text style={styles.title}>P9A Tax Deduction Card</Text>
+        <Text style={styles.subtitle}>Built from the labelled monthly calculations in History.</Text>
+
+        <Text style={styles.label}>Employee</Text>
+        <View style={styles.pickerWrapper}>
+          <Picker selectedValue={employee} onValueChange={setEmployee} style={styles.picker}>
+            {employees.map((name) => (
+              <Picker.Item key={name} label={name} value={name} />
+            ))}
+          </Picker>
+        </View>
+
+        <Text style={styles.label}>Year</Text>
+        <View style={styles.yearRow}>
+          <Pressable onPress={() => validYear && setYearText(String(year - 1))} hitSlop={10}>
+            <Feather name="chevron-left" size={24} color="#007bff" />
+          </Pressable>
+          <TextInput
+            style={styles.yearInput}
+            value={yearText}
+            onChangeText={setYearText}
+            keyboardType="numeric"
+            maxLength={4}
+          />
+          <Pressable onPress={() => validYear && setYearText(String(year + 1))} hitSlop={10}>
+            <Feather name="chevron-right" size={24} color="#007bff" />
+          </Pressable>
+        </View>
+        {!validYear && <Text style={styles.errorText}>Enter a four-digit year.</Text>}
+
+        {card && (
+          <>
+            <Text style={[styles.monthsText, card.missingMonths.length > 0 && styles.errorText]}>
+              {recordedMonths} of 12 months recorded
+              {card.missingMonths.length > 0 ? ` · missing ${card.missingMonths.join(', ')}` : ''}
+            </Text>
+
+            {/* Months down, P9A columns across; scrolls sideways on narrow screens */}
+            <ScrollView horizontal style={styles.table}>
+              <View>
+                <View style={[styles.tableRow, styles.headerRow]}>
+                  <Text style={[styles.cell, styles.monthCell, styles.headerText]}>Month</Text>
+                  {P9_COLUMNS.map(([letter, heading]) => (
+                    <Text key={letter} style={[styles.cell, styles.headerText]}>
+                      {letter}
+                      {'\n'}
+                      {heading}
+                    </Text>
+                  ))}
+                </View>
+
+                {card.months.map((month) => (
+                  <Pressable
+                    key={month.payPeriod}
+                    style={[styles.tableRow, !month.entry && styles.missingRow]}
+                    onPress={() => month.entry && navigation.navigate('CalculationResult', { result: month.entry })}
+                    disabled={!month.entry}
+                  >
+                    <Text style={[styles.cell, styles.monthCell]}>
+                      {month.name}
+                      {month.duplicates > 0 ? ' *' : ''}
+                    </Text>
+                    {month.values ? (
+                      P9_COLUMNS.map(([letter, , field]) => (
+                        <Text key={letter} style={[styles.cell, styles.amountCell]}>
+                          {month.values[field].toFixed(2)}
+                        </Text>
+                      ))
+                    ) : (
+                      <Text style={[styles.cell, styles.missingText]}>Missing</Text>
+                    )}
+                  </Pressable>
+                ))}
+
+                <View style={[styles.tableRow, styles.totalRow]}>
+                  <Text style={[styles.cell, styles.monthCell, styles.headerText]}>Totals</Text>
+                  {P9_COLUMNS.map(([letter, , field]) => (
+                    <Text key={letter} style={[styles.cell, styles.amountCell, styles.headerText]}>
+                      {card.totals[field].toFixed(2)}
+                    </Text>
+                  ))}
+                </View>
+              </View>
+            </ScrollView>
+
+            {card.months.some((month) => month.duplicates > 0) && (
+              <Text style={styles.noteText}>
+                * More than one calculation was saved for this month; the most recent is used.
+              </Text>
+            )}
+            <Text style={styles.noteText}>Tap a month to open its calculation.</Text>
+
+            {/* Year-end reconciliation, once every month is recorded */}
+            <View style={styles.section}>
+              <Text style={styles.sectionHeader}>Year-End Reconciliation</Text>
+              {recordedMonths < 12 && (
+                <Text style={styles.noteText}>Available once all twelve months are recorded.</Text>
+              )}
+              {reconciliationError && <Text style={styles.errorText}>{reconciliationError}</Text>}
+              {reconciliation && (
+                <>
+                  <Text style={[styles.statusText, { color: RECONCILIATION_STATUS[reconciliation.status].color }]}>
+                    {RECONCILIATION_STATUS[reconciliation.status].text}
+                  </Text>
+                  {[
+                    ['Annual Taxable Pay', reconciliation.annual.taxableIncome],
+                    ['Tax on Annual Bands', reconciliation.annual.taxCharged],
+                    ['Personal Relief', -reconciliation.annual.personalRelief],
+                    ['Insurance Relief', -reconciliation.annual.insuranceRelief],
+                    ['Annual Liability', reconciliation.annual.liability],
+                    ['PAYE Withheld', reconciliation.annual.withheld],
+                    [reconciliation.annual.difference >= 0 ? 'Under-Deducted' : 'Over-Deducted', Math.abs(reconciliation.annual.difference)],
+                  ].map(([label, amount]) => (
+                    <View key={label} style={styles.resultRow}>
+                      <Text style={styles.resultLabel}>{label}</Text>
+                      <Text style={styles.resultValue}>Ksh {amount.toFixed(2)}</Text>
+                    </View>
+                  ))}
+                  {reconciliation.capAdjustments.map((adjustment) => (
+                    <Text key={adjustment.key} style={styles.noteText}>
+                      {adjustment.label}: Ksh {adjustment.allowedMonthly.toFixed(2)} allowed month by month, Ksh{' '}
+                      {adjustment.allowedAnnual.toFixed(2)} against the annual cap.
+                    </Text>
+                  ))}
+                  {reconciliation.correction && reconciliation.correction.adjustment !== 0 && (
+                    <Text style={styles.correctionText}>
+                      Suggested correction: {reconciliation.correction.adjustment >= 0 ? 'deduct' : 'refund'} Ksh{' '}
+                      {Math.abs(reconciliation.correction.adjustment).toFixed(2)} in {reconciliation.correction.payPeriod}, making
+                      that month's PAYE Ksh {reconciliation.correction.suggestedPaye.toFixed(2)} instead of Ksh{' '}
+                      {reconciliation.correction.currentPaye.toFixed(2)}.
+                    </Text>
+                  )}
+                  {reconciliation.notes.map((note) => (
+                    <Text key={note} style={styles.noteText}>
+                      {note}
+                    </Text>
+                  ))}
+                </>
+              )}
+            </View>
+
+            <Pressable
+              style={({ pressed }) => [styles.exportButton, pressed && { opacity: 0.8 }]}
+              onPress={confirmExport}
+              disabled={recordedMonths === 0}
+            >
+              <Feather name="file" size={18} color="#fff" />
+              <Text style={styles.exportButtonText}> Export P9A (PDF)</Text>
+            </Pressable>
+          </>
+        )}
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  scrollViewContent: {
+    flexGrow: 1,
+    alignItems: 'center',
+    backgroundColor: '#f0f4f8',
+    paddingVertical: 20,
+  },
+  container: {
+    width: '95%',
+    maxWidth: 800,
+    backgroundColor: '#ffffff',
+    borderRadius: 15,
+    padding: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.2,
+    shadowRadius: 10,
+    elevation: 15,
+  },
+  emptyContainer: {
+    flex: 1,
+    padding: 20,
+    backgroundColor: '#f8f9fa',
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 5,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6c757d',
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  empty: {
+    textAlign: 'center',
+    color: '#666',
+    marginTop: 50,
+    fontSize: 16,
+  },
+  label: {
+    fontSize: 16,
+    color: '#333',
+    marginBottom: 8,
+    fontWeight: '600',
+  },
+  pickerWrapper: {
+    backgroundColor: '#f9f9f9',
+    borderColor: '#ccc',
+    borderWidth: 1,
+    borderRadius: 8,
+    marginBottom: 15,
+    overflow: 'hidden',
+  },
+  picker: {
+    height: 50,
+    width: '100%',
+  },
+  yearRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  yearInput: {
+    backgroundColor: '#f9f9f9',
+    borderRadius: 8,
+    padding: 10,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    marginHorizontal: 12,
+    fontSize: 16,
+    width: 90,
+    textAlign: 'center',
+  },
+  errorText: {
+    color: '#dc3545',
+  },
+  monthsText: {
+    fontSize: 14,
+    color: '#28a745',
+    marginVertical: 10,
+  },
+  table: {
+    borderWidth: 1,
+    borderColor: '#e3e8ee',
+    borderRadius: 8,
+  },
+  tableRow: {
+    flexDirection: 'row',
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  headerRow: {
+    backgroundColor: '#f0f4f8',
+  },
+  totalRow: {
+    backgroundColor: '#f0f4f8',
+    borderTopWidth: 2,
+    borderTopColor: '#999',
+  },
+  missingRow: {
+    backgroundColor: '#fdecea',
+  },
+  cell: {
+    width: 110,
+    paddingVertical: 8,
+    paddingHorizontal: 6,
+    fontSize: 13,
+    color: '#333',
+  },
+  monthCell: {
+    width: 100,
+  },
+  amountCell: {
+    textAlign: 'right',
+  },
+  headerText: {
+    fontWeight: 'bold',
+    color: '#34495e',
+  },
+  missingText: {
+    color: '#dc3545',
+    fontStyle: 'italic',
+  },
+  noteText: {
+    fontSize: 13,
+    color: '#6c757d',
+    marginTop: 8,
+  },
+  section: {
+    marginTop: 20,
+    paddingBottom: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  sectionHeader: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#34495e',
+    marginBottom: 10,
+  },
+  statusText: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  resultRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  resultLabel: {
+    fontSize: 15,
+    color: '#555',
+  },
+  resultValue: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  correctionText: {
+    fontSize: 14,
+    color: '#2c3e50',
+    backgroundColor: '#fff3cd',
+    borderRadius: 8,
+    padding: 10,
+    marginTop: 10,
+  },
+  exportButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#28a745',
+    paddingVertical: 12,
+    borderRadius: 8,
+    marginTop: 15,
+  },
+  exportButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
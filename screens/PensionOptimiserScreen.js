@@ -0,0 +1,380 @@
+// screens/PensionOptimiserScreen.js
+import React, { useMemo, useState } from 'react';
+import { View, Text, TextInput, ScrollView, Pressable, StyleSheet } from 'react-native';
+
+import ScenarioChart from '../components/ScenarioChart';
+import { optimisePension, MIN_LEVELS, MAX_LEVELS } from '../utils/pensionOptimiser';
+
+// Axis labels: 7.5k, 30k
+const formatCompact = (value) => (value >= 1e3 ? `${parseFloat((value / 1e3).toFixed(1))}k` : String(Math.round(value)));
+const formatPercent = (rate) => `${parseFloat((rate * 100).toFixed(1))}%`;
+
+const MILESTONE_COLORS = {
+  band: '#fd7e14',
+  noTax: '#dc3545',
+  cap: '#6f42c1',
+};
+
+function runOptimiser(params, levels) {
+  try {
+    return { optimisation: optimisePension(params, { levels }) };
+  } catch (err) {
+    console.error('Pension optimiser error:', err);
+    return { error: err.message };
+  }
+}
+
+export default function PensionOptimiserScreen({ route, navigation }) {
+  // params are the calculator's inputs and toggles, including the gross pay and current pension
+  const { params } = route.params;
+
+  const [levelsText, setLevelsText] = useState('20');
+  const [levels, setLevels] = useState(20);
+  const [picked, setPicked] = useState(null); // Contribution tapped; null until one is picked
+
+  const { optimisation, error } = useMemo(() => runOptimiser(params, levels), [params, levels]);
+
+  // Starts on the largest contribution that still saves tax
+  const selected = optimisation
+    ? optimisation.levels.find((level) => level.contribution === (picked ?? optimisation.maxUsefulContribution)) ||
+      optimisation.levels[0]
+    : null;
+  const milestoneAt = (contribution) => optimisation.milestones.filter((milestone) => milestone.contribution === contribution);
+
+  const handleUpdate = () => {
+    setPicked(null);
+    setLevels(parseInt(levelsText, 10));
+  };
+
+  // Hands the contribution back to the calculator form, which is still on the stack
+  const handleApply = () => {
+    navigation.navigate({
+      name: 'NetPayCalculator',
+      params: { appliedPension: { amount: selected.contribution, appliedAt: Date.now() } },
+      merge: true,
+    });
+  };
+
+  // Column i spans [i/n, (i+1)/n] of the chart width; levels are not evenly spaced, so markers sit on their column
+  const markers = optimisation
+    ? optimisation.milestones.map((milestone) => {
+        const index = optimisation.levels.findIndex((level) => level.contribution === milestone.contribution);
+        return { position: (index + 0.5) / optimisation.levels.length, label: milestone.label };
+      })
+    : [];
+
+  return (
+    <ScrollView contentContainerStyle={styles.scrollViewContent}>
+      <View style={styles.container}>
+        <Text style={styles.title}>Pension Optimiser</Text>
+        {optimisation && (
+          <Text style={styles.subtitle}>
+            Gross pay Ksh {optimisation.grossPay.toFixed(2)} · {optimisation.taxRegime.label} · {optimisation.payFrequency.label} ·{' '}
+            {optimisation.payPeriod} ({optimisation.ruleSet.name})
+          </Text>
+        )}
+
+        <Text style={styles.label}>Contribution Levels</Text>
+        <View style={styles.levelsRow}>
+          <TextInput style={styles.input} keyboardType="numeric" value={levelsText} onChangeText={setLevelsText} />
+          <Pressable style={({ pressed }) => [styles.updateButton, pressed && { opacity: 0.8 }]} onPress={handleUpdate}>
+            <Text style={styles.buttonText}>Update</Text>
+          </Pressable>
+        </View>
+        <Text style={styles.hintText}>
+          Between {MIN_LEVELS} and {MAX_LEVELS} levels, spread from nothing up to the pension cap.
+        </Text>
+
+        {error && <Text style={styles.errorText}>{error}</Text>}
+
+        {optimisation && (
+          <>
+            <View style={styles.summary}>
+              <View style={styles.summaryRow}>
+                <Text style={styles.summaryLabel}>Current Contribution</Text>
+                <Text style={styles.summaryValue}>Ksh {optimisation.currentPension.toFixed(2)}</Text>
+              </View>
+              <View style={styles.summaryRow}>
+                <Text style={styles.summaryLabel}>Pension Cap</Text>
+                <Text style={styles.summaryValue}>Ksh {optimisation.pensionCap.toFixed(2)}</Text>
+              </View>
+              <View style={styles.summaryRow}>
+                <Text style={[styles.summaryLabel, styles.summaryHighlight]}>Most Tax-Saving Contribution</Text>
+                <Text style={[styles.summaryValue, styles.summaryHighlight]}>
+                  Ksh {optimisation.maxUsefulContribution.toFixed(2)}
+                </Text>
+              </View>
+              <Text style={styles.hintText}>
+                {optimisation.maxUsefulContribution > 0
+                  ? 'Contributing more than this saves no further tax.'
+                  : 'There is no PAYE to save at this pay.'}
+              </Text>
+            </View>
+
+            <Text style={styles.sectionTitle}>Where Each Contribution Goes</Text>
+            <ScenarioChart
+              points={optimisation.levels}
+              series={[
+                { key: 'netCost', label: 'Cost to Take-Home Pay', color: '#dc3545' },
+                { key: 'taxSaved', label: 'Tax Saved', color: '#28a745' },
+              ]}
+              stacked
+              maxValue={optimisation.levels[optimisation.levels.length - 1].contribution}
+              formatValue={formatCompact}
+              xLabels={[optimisation.levels[0], optimisation.levels[optimisation.levels.length - 1]].map((level) =>
+                formatCompact(level.contribution)
+              )}
+              markers={markers}
+              onPressPoint={(index) => setPicked(optimisation.levels[index].contribution)}
+            />
+
+            {optimisation.milestones.length > 0 && (
+              <>
+                <Text style={styles.sectionTitle}>Where the Benefit Drops</Text>
+                {optimisation.milestones.map((milestone) => (
+                  <Pressable
+                    key={milestone.kind + milestone.contribution}
+                    style={styles.milestoneRow}
+                    onPress={() => setPicked(milestone.contribution)}
+                  >
+                    <Text style={[styles.milestoneTitle, { color: MILESTONE_COLORS[milestone.kind] }]}>
+                      Ksh {milestone.contribution.toFixed(2)}: {milestone.label}
+                    </Text>
+                    <Text style={styles.milestoneText}>{milestone.description}</Text>
+                  </Pressable>
+                ))}
+              </>
+            )}
+
+            <Text style={styles.sectionTitle}>Contribution Levels</Text>
+            <View style={styles.table}>
+              <View style={[styles.tableRow, styles.headerRow]}>
+                <Text style={[styles.cell, styles.headerText]}>Contribution</Text>
+                <Text style={[styles.cell, styles.headerText]}>Tax Saved</Text>
+                <Text style={[styles.cell, styles.headerText]}>Net Cost</Text>
+                <Text style={[styles.cell, styles.headerText]}>Saved on Step</Text>
+              </View>
+              {optimisation.levels.map((level) => (
+                <Pressable
+                  key={level.contribution}
+                  style={[
+                    styles.tableRow,
+                    milestoneAt(level.contribution).length > 0 && styles.milestoneTableRow,
+                    level === selected && styles.selectedRow,
+                  ]}
+                  onPress={() => setPicked(level.contribution)}
+                >
+                  <Text style={styles.cell}>{level.contribution.toFixed(2)}</Text>
+                  <Text style={styles.cell}>{level.taxSaved.toFixed(2)}</Text>
+                  <Text style={styles.cell}>{level.netCost.toFixed(2)}</Text>
+                  <Text style={styles.cell}>{level.contribution > 0 ? formatPercent(level.marginalSaving) : '—'}</Text>
+                </Pressable>
+              ))}
+            </View>
+            <Text style={styles.hintText}>
+              Net cost is the take-home pay given up; saved on step is the share of the increase from the row above that
+              comes back as tax saved.
+            </Text>
+
+            {selected && (
+              <View style={styles.selectedBox}>
+                <Text style={styles.selectedTitle}>Ksh {selected.contribution.toFixed(2)} a {optimisation.payFrequency.unit}</Text>
+                <Text style={styles.selectedText}>
+                  Saves Ksh {selected.taxSaved.toFixed(2)} in tax ({formatPercent(selected.savingRate)} of the contribution) and
+                  reduces take-home pay by Ksh {selected.netCost.toFixed(2)}, to Ksh {selected.netPay.toFixed(2)}.
+                </Text>
+                {selected.contribution > selected.allowed && (
+                  <Text style={styles.warningText}>
+                    Ksh {(selected.contribution - selected.allowed).toFixed(2)} is above the pension cap and saves no tax.
+                  </Text>
+                )}
+                <Pressable style={({ pressed }) => [styles.applyButton, pressed && { opacity: 0.8 }]} onPress={handleApply}>
+                  <Text style={styles.buttonText}>Apply to Calculator</Text>
+                </Pressable>
+              </View>
+            )}
+          </>
+        )}
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  scrollViewContent: {
+    flexGrow: 1,
+    alignItems: 'center',
+    backgroundColor: '#f0f4f8',
+    paddingVertical: 20,
+  },
+  container: {
+    width: '95%',
+    maxWidth: 800,
+    backgroundColor: '#ffffff',
+    borderRadius: 15,
+    padding: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.2,
+    shadowRadius: 10,
+    elevation: 15,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 5,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6c757d',
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginTop: 20,
+    marginBottom: 10,
+  },
+  label: {
+    fontSize: 16,
+    color: '#333',
+    marginBottom: 8,
+    fontWeight: '600',
+  },
+  levelsRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  input: {
+    backgroundColor: '#f9f9f9',
+    borderRadius: 8,
+    padding: 10,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    fontSize: 16,
+    width: 90,
+    textAlign: 'center',
+  },
+  updateButton: {
+    backgroundColor: '#20c997',
+    paddingVertical: 11,
+    paddingHorizontal: 20,
+    borderRadius: 8,
+    marginLeft: 12,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  hintText: {
+    fontSize: 13,
+    color: '#6c757d',
+    marginVertical: 8,
+  },
+  errorText: {
+    color: '#dc3545',
+    marginVertical: 8,
+  },
+  warningText: {
+    color: '#dc3545',
+    fontSize: 14,
+    marginTop: 6,
+  },
+  summary: {
+    backgroundColor: '#f8f9fa',
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 10,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+  },
+  summaryLabel: {
+    fontSize: 15,
+    color: '#555',
+  },
+  summaryValue: {
+    fontSize: 15,
+    color: '#333',
+    fontWeight: '600',
+  },
+  summaryHighlight: {
+    color: '#20c997',
+    fontWeight: 'bold',
+  },
+  milestoneRow: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  milestoneTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  milestoneText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  table: {
+    borderWidth: 1,
+    borderColor: '#e3e8ee',
+    borderRadius: 8,
+  },
+  tableRow: {
+    flexDirection: 'row',
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  headerRow: {
+    backgroundColor: '#f0f4f8',
+  },
+  milestoneTableRow: {
+    backgroundColor: '#fff8e1',
+  },
+  selectedRow: {
+    backgroundColor: '#d1f2eb',
+  },
+  cell: {
+    flex: 1,
+    paddingVertical: 8,
+    paddingHorizontal: 6,
+    fontSize: 13,
+    color: '#333',
+    textAlign: 'right',
+  },
+  headerText: {
+    fontWeight: 'bold',
+    color: '#2c3e50',
+  },
+  selectedBox: {
+    borderWidth: 1,
+    borderColor: '#20c997',
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 15,
+  },
+  selectedTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 5,
+  },
+  selectedText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  applyButton: {
+    backgroundColor: '#20c997',
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 12,
+  },
+});
@@ -0,0 +1,250 @@
+// screens/ScenarioScreen.js
+import React, { useMemo, useState } from 'react';
+import { View, Text, TextInput, ScrollView, Pressable, StyleSheet } from 'react-native';
+
+import ScenarioChart from '../components/ScenarioChart';
+import { sweepGrossPay, MIN_STEPS, MAX_STEPS } from '../utils/scenarioExplorer';
+
+// Axis labels: 250k, 1.2M
+const formatCompact = (value) => {
+  if (value >= 1e6) return `${parseFloat((value / 1e6).toFixed(1))}M`;
+  if (value >= 1e3) return `${parseFloat((value / 1e3).toFixed(1))}k`;
+  return String(Math.round(value));
+};
+const formatPercent = (rate) => `${parseFloat((rate * 100).toFixed(1))}%`;
+
+// Rounds the top of the rates chart up to the next 10%
+const rateAxisMax = (points) => Math.max(0.1, Math.ceil(Math.max(...points.map((point) => point.marginalRate)) * 10) / 10);
+
+function runSweep(params, range) {
+  try {
+    return { scenario: sweepGrossPay(params, range) };
+  } catch (err) {
+    console.error('Scenario error:', err);
+    return { error: err.message };
+  }
+}
+
+export default function ScenarioScreen({ route, navigation }) {
+  // params are the calculator's inputs and toggles; grossPay the salary entered there
+  const { params, grossPay } = route.params;
+
+  const [fromText, setFromText] = useState(String(Math.round(grossPay / 2)));
+  const [toText, setToText] = useState(String(Math.round(grossPay * 2)));
+  const [stepsText, setStepsText] = useState('25');
+  const [range, setRange] = useState({ from: Math.round(grossPay / 2), to: Math.round(grossPay * 2), steps: 25 });
+
+  const { scenario, error } = useMemo(() => runSweep(params, range), [params, range]);
+
+  const handleUpdate = () => {
+    setRange({ from: parseFloat(fromText), to: parseFloat(toText), steps: parseInt(stepsText, 10) });
+  };
+
+  const openPoint = (index) => {
+    navigation.navigate('CalculationResult', { result: scenario.points[index].result });
+  };
+
+  // Column i spans [i/n, (i+1)/n] of the chart width and is centred on its gross pay
+  const markers = scenario
+    ? scenario.bandBoundaries.map((boundary) => {
+        const { points } = scenario;
+        const first = points[0].grossPay;
+        const last = points[points.length - 1].grossPay;
+        const offset = ((boundary.grossPay - first) / (last - first)) * (points.length - 1);
+        return { position: (offset + 0.5) / points.length, label: boundary.label };
+      })
+    : [];
+  const xLabels = scenario ? [scenario.points[0].grossPay, scenario.points[scenario.points.length - 1].grossPay].map(formatCompact) : [];
+
+  return (
+    <ScrollView contentContainerStyle={styles.scrollViewContent}>
+      <View style={styles.container}>
+        <Text style={styles.title}>Salary Scenarios</Text>
+        {scenario && (
+          <Text style={styles.subtitle}>
+            {scenario.taxRegime.label} · {scenario.payFrequency.label} · {scenario.payPeriod} ({scenario.ruleSet.name})
+          </Text>
+        )}
+
+        <View style={styles.rangeRow}>
+          <View style={styles.rangeField}>
+            <Text style={styles.label}>From (Ksh)</Text>
+            <TextInput style={styles.input} keyboardType="numeric" value={fromText} onChangeText={setFromText} />
+          </View>
+          <View style={styles.rangeField}>
+            <Text style={styles.label}>To (Ksh)</Text>
+            <TextInput style={styles.input} keyboardType="numeric" value={toText} onChangeText={setToText} />
+          </View>
+          <View style={styles.rangeField}>
+            <Text style={styles.label}>Salaries</Text>
+            <TextInput style={styles.input} keyboardType="numeric" value={stepsText} onChangeText={setStepsText} />
+          </View>
+        </View>
+        <Text style={styles.hintText}>
+          Between {MIN_STEPS} and {MAX_STEPS} salaries. Everything else on the calculator form stays as entered.
+        </Text>
+
+        <Pressable style={({ pressed }) => [styles.button, pressed && { opacity: 0.8 }]} onPress={handleUpdate}>
+          <Text style={styles.buttonText}>Update</Text>
+        </Pressable>
+
+        {error && <Text style={styles.errorText}>{error}</Text>}
+
+        {scenario && (
+          <>
+            <Text style={styles.hintText}>Tap a column to see the full breakdown for that salary.</Text>
+
+            <Text style={styles.sectionTitle}>Take-Home Pay and Deductions</Text>
+            <ScenarioChart
+              points={scenario.points}
+              series={[
+                { key: 'netPay', label: 'Net Pay', color: '#28a745' },
+                { key: 'totalDeductions', label: 'Total Deductions', color: '#dc3545' },
+              ]}
+              stacked
+              maxValue={Math.max(...scenario.points.map((point) => point.netPay + point.totalDeductions))}
+              formatValue={formatCompact}
+              xLabels={xLabels}
+              markers={markers}
+              onPressPoint={openPoint}
+            />
+
+            <Text style={styles.sectionTitle}>Tax Rates</Text>
+            <ScenarioChart
+              points={scenario.points}
+              series={[
+                { key: 'marginalRate', label: 'Marginal Rate', color: '#fd7e14' },
+                { key: 'effectiveRate', label: 'Effective Rate', color: '#007bff', kind: 'dot' },
+              ]}
+              maxValue={rateAxisMax(scenario.points)}
+              formatValue={formatPercent}
+              xLabels={xLabels}
+              markers={markers}
+              onPressPoint={openPoint}
+            />
+            <Text style={styles.hintText}>
+              The effective rate is tax as a share of gross pay; the marginal rate is the share of the next Ksh 100 taken as
+              tax. Deductible contributions (NSSF, SHIF, AHL) can keep it below the band rate.
+            </Text>
+
+            <Text style={styles.sectionTitle}>Band Boundaries</Text>
+            {scenario.bandBoundaries.length === 0 ? (
+              <Text style={styles.hintText}>
+                {scenario.taxRegime.status === 'primary' || scenario.taxRegime.status === 'secondary'
+                  ? 'No tax band starts within this range.'
+                  : `${scenario.taxRegime.label}: tax is at a flat rate, not on the bands.`}
+              </Text>
+            ) : (
+              scenario.bandBoundaries.map((boundary) => (
+                <View key={boundary.label} style={styles.boundaryRow}>
+                  <Text style={styles.boundaryGross}>Ksh {boundary.grossPay.toFixed(2)}</Text>
+                  <Text style={styles.boundaryText}>
+                    Taxable pay passes Ksh {boundary.taxableIncome.toFixed(2)}: {boundary.label}
+                  </Text>
+                </View>
+              ))
+            )}
+          </>
+        )}
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  scrollViewContent: {
+    flexGrow: 1,
+    alignItems: 'center',
+    backgroundColor: '#f0f4f8',
+    paddingVertical: 20,
+  },
+  container: {
+    width: '95%',
+    maxWidth: 800,
+    backgroundColor: '#ffffff',
+    borderRadius: 15,
+    padding: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.2,
+    shadowRadius: 10,
+    elevation: 15,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 5,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6c757d',
+    textAlign: 'center',
+    marginBottom: 20,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginTop: 20,
+    marginBottom: 10,
+  },
+  rangeRow: {
+    flexDirection: 'row',
+    marginHorizontal: -5,
+  },
+  rangeField: {
+    flex: 1,
+    marginHorizontal: 5,
+  },
+  label: {
+    fontSize: 16,
+    color: '#333',
+    marginBottom: 8,
+    fontWeight: '600',
+  },
+  input: {
+    backgroundColor: '#f9f9f9',
+    borderRadius: 8,
+    padding: 10,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    fontSize: 16,
+  },
+  hintText: {
+    fontSize: 13,
+    color: '#6c757d',
+    marginVertical: 8,
+  },
+  button: {
+    backgroundColor: '#6f42c1',
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginVertical: 10,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  errorText: {
+    color: '#dc3545',
+    marginVertical: 8,
+  },
+  boundaryRow: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  boundaryGross: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#6f42c1',
+  },
+  boundaryText: {
+    fontSize: 14,
+    color: '#333',
+  },
+});
@@ -1,4 +1,8 @@
-import React, { createContext, useState } from 'react';
+import React, { createContext, useState, useEffect } from 'react';
+import { loadHistory, saveHistory } from './historyStorage';
+
+// Unique enough for entries created on one device
+const createHistoryId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
 
 // Create the context
 export const HistoryContext = createContext();
@@ -6,17 +10,60 @@ export const HistoryContext = createContext();
 // Create the provider component
 export const HistoryProvider = ({ children }) => {
   const [history, setHistory] = useState([]); // State to store the history array
+  const [isLoading, setIsLoading] = useState(true); // True until saved history has been read from the device
+
+  // Load saved history once on startup
+  useEffect(() => {
+    let cancelled = false;
+    loadHistory().then((savedHistory) => {
+      if (cancelled) return;
+      // Keep anything calculated while the store was still loading on top
+      setHistory((prev) => [...prev, ...savedHistory]);
+      setIsLoading(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Persist every change in the background; skipped until loading finishes so the store isn't overwritten
+  useEffect(() => {
+    if (!isLoading) {
+      saveHistory(history);
+    }
+  }, [history, isLoading]);
 
   // Function to add a new calculation result to the history
   const addToHistory = (result) => {
-    // Add a timestamp to the result for better organization/display in history
-    const newResultWithTimestamp = { ...result, timestamp: new Date().toISOString() };
+    // Add an id and a timestamp to the result for better organization/display in history
+    const newResultWithTimestamp = { ...result, id: createHistoryId(), timestamp: new Date().toISOString() };
     setHistory((prev) => [newResultWithTimestamp, ...prev]); // Adds newest calculation on top
   };
 
+  // Removes one entry (by id) or several (array of ids)
+  const deleteFromHistory = (ids) => {
+    const idsToDelete = new Set(Array.isArray(ids) ? ids : [ids]);
+    setHistory((prev) => prev.filter((entry) => !idsToDelete.has(entry.id)));
+  };
+
+  // Removes every entry; callers are expected to confirm with the user first
+  const clearHistory = () => {
+    setHistory([]);
+  };
+
+  // Attaches a custom label (e.g. an employee name or "March offer"); an empty label removes it
+  const labelHistoryEntry = (id, label) => {
+    const trimmedLabel = label.trim();
+    setHistory((prev) =>
+      prev.map((entry) => (entry.id === id ? { ...entry, label: trimmedLabel || undefined } : entry))
+    );
+  };
+
   return (
-    // Provide the history state and addToHistory function to all children components
-    <HistoryContext.Provider value={{ history, addToHistory }}>
+    // Provide the history state, its loading flag and the history operations to all children components
+    <HistoryContext.Provider
+      value={{ history, isLoading, addToHistory, deleteFromHistory, clearHistory, labelHistoryEntry }}
+    >
       {children}
     </HistoryContext.Provider>
   );
@@ -0,0 +1,258 @@
+// utils/batchPayroll.js
+
+import { parseCSV, toCSV } from './csv';
+import { calculatePAYE, HOUSING_TYPES, TAX_STATUSES } from './payeLogic';
+import { PAY_FREQUENCIES } from './taxRules';
+
+/**
+ * Batch payroll: runs calculatePAYE for every employee in a CSV file.
+ *
+ * The first row of the file is a header naming the columns below (in any order, case-insensitive).
+ * Only grossPay is required; missing columns and blank cells take the calculator's defaults.
+ */
+
+/**
+ * Columns read from the import file, with the calculatePAYE parameter each one fills.
+ * kind is 'text', 'amount' (non-negative number), 'boolean' (true/false, yes/no, 1/0) or 'choice'.
+ */
+export const BATCH_COLUMNS = [
+  { key: 'name', kind: 'text', defaultValue: '' },
+  { key: 'pin', kind: 'text', defaultValue: '' }, // KRA PIN, needed for the P10 return
+  { key: 'grossPay', kind: 'amount', required: true },
+  { key: 'benefits', kind: 'amount', defaultValue: 0 },
+  { key: 'pension', kind: 'amount', defaultValue: 0 },
+  { key: 'allowableDeductions', kind: 'amount', defaultValue: 0 },
+  { key: 'insurancePremiums', kind: 'amount', defaultValue: 0 },
+  { key: 'mortgageInterest', kind: 'amount', defaultValue: 0 },
+  { key: 'postRetirementMedical', kind: 'amount', defaultValue: 0 },
+  { key: 'hasDisabilityExemption', kind: 'boolean', defaultValue: false },
+  { key: 'housed', kind: 'boolean', defaultValue: false },
+  { key: 'housingType', kind: 'choice', choices: Object.keys(HOUSING_TYPES), defaultValue: '1' },
+  { key: 'housingValue', kind: 'amount', defaultValue: 0 },
+  { key: 'rent', kind: 'amount', defaultValue: 0 },
+  { key: 'ignoreBenefits', kind: 'boolean', defaultValue: true },
+  { key: 'use2025Tiers', kind: 'boolean', defaultValue: true },
+  { key: 'deductTier2', kind: 'boolean', defaultValue: true },
+  { key: 'deductAHL', kind: 'boolean', defaultValue: true },
+  { key: 'taxStatus', kind: 'choice', choices: Object.keys(TAX_STATUSES), defaultValue: 'primary' },
+  { key: 'payFrequency', kind: 'choice', choices: Object.keys(PAY_FREQUENCIES), defaultValue: 'monthly' },
+];
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+/**
+ * A sample import file with every column, for users to fill in.
+ */
+export const BATCH_TEMPLATE_CSV = toCSV([
+  BATCH_COLUMNS.map((column) => column.key),
+  ['Jane Wanjiku', 'A123456789B', 85000, 0, 5000, 0, 1500, 0, 0, 'no', 'no', 1, 0, 0, 'yes', 'yes', 'yes', 'yes', 'primary', 'monthly'],
+  ['John Otieno', 'A987654321C', 42000, 6000, 0, 0, 0, 0, 0, 'no', 'yes', 1, 12000, 2000, 'yes', 'yes', 'yes', 'yes', 'primary', 'monthly'],
+]);
+
+/**
+ * Reads one cell according to its column definition.
+ *
+ * @returns {{value: *}|{error: string}} The parsed value, or why the cell is invalid.
+ */
+function parseCell(column, rawValue) {
+  const text = (rawValue ?? '').trim();
+  if (text === '') {
+    return column.required ? { error: 'is required' } : { value: column.defaultValue };
+  }
+
+  switch (column.kind) {
+    case 'amount': {
+      // Allow thousands separators as spreadsheets often export them
+      const value = Number(text.replace(/,/g, ''));
+      if (isNaN(value) || value < 0) return { error: `must be a non-negative number (got "${text}")` };
+      if (column.required && value === 0) return { error: 'must be greater than zero' };
+      return { value };
+    }
+    case 'boolean': {
+      const lower = text.toLowerCase();
+      if (TRUE_VALUES.includes(lower)) return { value: true };
+      if (FALSE_VALUES.includes(lower)) return { value: false };
+      return { error: `must be yes or no (got "${text}")` };
+    }
+    case 'choice': {
+      const match = column.choices.find((choice) => choice.toLowerCase() === text.toLowerCase());
+      return match !== undefined ? { value: match } : { error: `must be one of ${column.choices.join(', ')} (got "${text}")` };
+    }
+    default:
+      return { value: text };
+  }
+}
+
+/**
+ * Parses and validates an employee CSV.
+ *
+ * @param {string} text - CSV text with a header row.
+ * @returns {{employees: Array<{row: number, name: string, pin: string, params: object}>, errors: Array<{row: number, column: string|null, message: string}>}}
+ *   Valid employees with their calculatePAYE parameters, and every problem found. `row` is the file line number.
+ */
+export function parseEmployeeCSV(text) {
+  const errors = [];
+  let rows;
+  try {
+    rows = parseCSV(text);
+  } catch (err) {
+    return { employees: [], errors: [{ row: null, column: null, message: err.message }] };
+  }
+
+  if (rows.length < 2) {
+    return { employees: [], errors: [{ row: null, column: null, message: 'The file needs a header row and at least one employee.' }] };
+  }
+
+  // Map header names to column definitions
+  const [header, ...dataRows] = rows;
+  const headerKeys = header.cells.map((cell) => cell.trim().toLowerCase());
+  const columnIndexes = {};
+  headerKeys.forEach((key, index) => {
+    const column = BATCH_COLUMNS.find((definition) => definition.key.toLowerCase() === key);
+    if (column) {
+      columnIndexes[column.key] = index;
+    } else if (key !== '') {
+      errors.push({ row: header.line, column: header.cells[index].trim(), message: 'Unknown column; it will be ignored.' });
+    }
+  });
+  const missingColumns = BATCH_COLUMNS.filter((column) => column.required && columnIndexes[column.key] === undefined);
+  if (missingColumns.length > 0) {
+    missingColumns.forEach((column) => {
+      errors.push({ row: header.line, column: column.key, message: 'Required column is missing.' });
+    });
+    return { employees: [], errors };
+  }
+
+  const employees = [];
+  dataRows.forEach(({ line, cells }) => {
+    const params = {};
+    let valid = true;
+    BATCH_COLUMNS.forEach((column) => {
+      const index = columnIndexes[column.key];
+      const parsed = parseCell(column, index === undefined ? '' : cells[index]);
+      if (parsed.error) {
+        errors.push({ row: line, column: column.key, message: `${column.key} ${parsed.error}.` });
+        valid = false;
+      } else {
+        params[column.key] = parsed.value;
+      }
+    });
+    if (valid) {
+      const { name, pin, ...calculationParams } = params;
+      employees.push({ row: line, name: name || `Row ${line}`, pin, params: calculationParams });
+    }
+  });
+
+  return { employees, errors };
+}
+
+/**
+ * Runs calculatePAYE for every employee. Rows the engine rejects are reported as errors.
+ *
+ * @param {Array<{row: number, name: string, pin: string, params: object}>} employees - From parseEmployeeCSV.
+ * @param {string} payPeriod - Pay period ('YYYY-MM') applied to every employee.
+ * @returns {{results: Array<{row: number, name: string, pin: string, result: object}>, errors: Array<{row: number, column: null, message: string}>}}
+ */
+export function runBatchPayroll(employees, payPeriod) {
+  const results = [];
+  const errors = [];
+  employees.forEach(({ row, name, pin, params }) => {
+    try {
+      results.push({ row, name, pin, result: calculatePAYE({ ...params, payPeriod }) });
+    } catch (err) {
+      errors.push({ row, column: null, message: err.message });
+    }
+  });
+  return { results, errors };
+}
+
+// Register columns: [header, value getter]. Also used for the summary totals.
+const REGISTER_COLUMNS = [
+  ['Gross Pay', (r) => r.grossPay],
+  ['Taxable Benefits', (r) => r.taxableBenefits],
+  ['Taxable Pay', (r) => r.taxableIncome],
+  ['PAYE', (r) => r.paye],
+  ['NSSF Tier I', (r) => r.nssfTier1],
+  ['NSSF Tier II', (r) => r.nssfTier2],
+  ['SHIF', (r) => r.shif],
+  ['NHIF', (r) => r.nhif],
+  ['Housing Levy', (r) => r.ahl],
+  ['Pension', (r) => r.pension],
+  ['Other Deductions', (r) => r.allowableDeductions],
+  ['Total Deductions', (r) => r.totalDeductions],
+  ['Net Pay', (r) => r.netPay],
+  ['Employer NSSF', (r) => r.employerCost.nssf],
+  ['Employer Housing Levy', (r) => r.employerCost.ahl],
+  ['NITA Levy', (r) => r.employerCost.nita],
+  ['Fringe Benefit Tax', (r) => r.employerCost.fringeBenefitTax],
+  ['Cost to Company', (r) => r.costToCompany],
+];
+
+/**
+ * Totals every register column across a batch, separately for each pay frequency.
+ *
+ * Amounts are per pay period, so weekly and monthly pay cannot be added together; a batch that mixes
+ * frequencies gets one set of totals per frequency and a warning.
+ *
+ * @param {Array<{result: object}>} results - From runBatchPayroll.
+ * @returns {{employees: number, groups: Array<{payFrequency: {key: string, label: string}, employees: number,
+ *   totals: Array<{label: string, amount: number}>}>, warnings: Array<string>}}
+ *   groups are in the order each frequency first appears in the batch.
+ */
+export function summarisePayroll(results) {
+  const byFrequency = new Map();
+  results.forEach(({ result }) => {
+    const { key, label } = result.payFrequency;
+    if (!byFrequency.has(key)) byFrequency.set(key, { payFrequency: { key, label }, results: [] });
+    byFrequency.get(key).results.push(result);
+  });
+
+  const groups = [...byFrequency.values()].map(({ payFrequency, results: groupResults }) => ({
+    payFrequency,
+    employees: groupResults.length,
+    totals: REGISTER_COLUMNS.map(([label, get]) => ({
+      label,
+      amount: parseFloat(groupResults.reduce((sum, result) => sum + get(result), 0).toFixed(2)),
+    })),
+  }));
+
+  const labels = groups.map((group) => group.payFrequency.label.toLowerCase());
+  const warnings = groups.length > 1
+    ? [`The batch mixes ${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]} pay; totals are given for each pay frequency separately.`]
+    : [];
+
+  return { employees: results.length, groups, warnings };
+}
+
+/**
+ * Builds the payroll register CSV: one row per employee and a totals row for each pay frequency.
+ *
+ * @param {Array<{row: number, name: string, result: object}>} results - From runBatchPayroll.
+ * @returns {string} CSV text.
+ */
+export function buildPayrollRegisterCSV(results) {
+  const { groups } = summarisePayroll(results);
+  return toCSV([
+    ['Row', 'Name', 'PIN', 'Pay Period', 'Tax Status', 'Pay Frequency', ...REGISTER_COLUMNS.map(([label]) => label)],
+    ...results.map(({ row, name, pin, result }) => [
+      row,
+      name,
+      pin,
+      result.payPeriod,
+      result.taxRegime.label,
+      result.payFrequency.label,
+      ...REGISTER_COLUMNS.map(([, get]) => get(result).toFixed(2)),
+    ]),
+    // One totals row per pay frequency; amounts of different frequencies are not added together
+    ...groups.map(({ payFrequency, totals }) => [
+      '',
+      groups.length > 1 ? `TOTAL (${payFrequency.label})` : 'TOTAL',
+      '',
+      '',
+      '',
+      payFrequency.label,
+      ...totals.map(({ amount }) => amount.toFixed(2)),
+    ]),
+  ]);
+}
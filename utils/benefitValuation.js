@@ -0,0 +1,117 @@
+// utils/benefitValuation.js
+
+/**
+ * Valuation of itemised non-cash benefits for calculatePAYE.
+ *
+ * Each benefit item is a plain object with a `type` (a key of BENEFIT_TYPES) and the amounts that
+ * type needs. Rates and limits come from the `benefits` block of the rule set for the pay period.
+ */
+
+/**
+ * Supported benefit types and the monthly amounts each one takes.
+ */
+export const BENEFIT_TYPES = {
+  car: { label: 'Car', fields: ['cost', 'engineCc', 'hireCost'] },
+  meals: { label: 'Meals', fields: ['value'] },
+  utilities: { label: 'Utilities (Electricity & Water)', fields: ['value'] },
+  telephone: { label: 'Telephone', fields: ['value'] },
+  schoolFees: { label: 'School Fees', fields: ['value'] },
+  loan: { label: 'Low-Interest Staff Loan', fields: ['principal', 'employeeRate'] },
+};
+
+const toMoney = (value) => parseFloat(value.toFixed(2));
+
+/**
+ * Values a car benefit: the higher of the prescribed rate for the engine size or a percentage of the
+ * car's initial cost, or the hire cost where the employer hires or leases the car.
+ */
+function valueCar({ cost = 0, engineCc = 0, hireCost = 0 }, benefitRules) {
+  if (hireCost > 0) {
+    return { taxableValue: hireCost, explanation: 'Hired or leased car: taxed at the monthly hire cost.' };
+  }
+
+  const prescribed = benefitRules.carPrescribedRates.find((band) => engineCc <= band.upToCc).amount;
+  const costBased = cost * benefitRules.carCostRate;
+  return {
+    taxableValue: Math.max(prescribed, costBased),
+    explanation:
+      `Higher of the prescribed rate for ${engineCc}cc (Ksh ${prescribed.toFixed(2)}) ` +
+      `or ${benefitRules.carCostRate * 100}% of cost (Ksh ${costBased.toFixed(2)}).`,
+  };
+}
+
+/**
+ * Values a low-interest staff loan. The benefit is the interest saved against the prescribed market
+ * rate; it is taxed on the employer as fringe benefit tax, not on the employee through PAYE.
+ */
+function valueLoan({ principal = 0, employeeRate = 0 }, benefitRules) {
+  const rateGap = Math.max(0, benefitRules.loanMarketRate - employeeRate / 100);
+  const fringeBenefit = (principal * rateGap) / benefitRules.periodsPerYear;
+  return {
+    taxableValue: 0,
+    fringeBenefit: toMoney(fringeBenefit),
+    fringeBenefitTax: toMoney(fringeBenefit * benefitRules.fringeBenefitTaxRate),
+    explanation:
+      `Interest saved at the prescribed ${(benefitRules.loanMarketRate * 100).toFixed(2)}% market rate; ` +
+      `the employer pays ${benefitRules.fringeBenefitTaxRate * 100}% fringe benefit tax on it.`,
+  };
+}
+
+/**
+ * Values each itemised benefit by its own rule.
+ *
+ * @param {Array<object>} items - Benefit items, e.g. { type: 'car', cost: 3000000, engineCc: 1800 }.
+ *   Loan items take the employee's annual interest rate as a percentage (employeeRate).
+ * @param {object} benefitRules - The `benefits` block of a rule set from utils/taxRules.js.
+ * @returns {Array<object>} Each item with its label, taxableValue (added to taxable pay), explanation,
+ *   and for loans the fringeBenefit and employer fringeBenefitTax.
+ * @throws {Error} If an item has an unknown type or a negative amount.
+ */
+export function valueBenefitItems(items, benefitRules) {
+  return items.map((item) => {
+    const type = BENEFIT_TYPES[item.type];
+    if (!type) {
+      throw new Error(`Unknown benefit type "${item.type}".`);
+    }
+    type.fields.forEach((field) => {
+      const value = item[field] ?? 0;
+      if (typeof value !== 'number' || isNaN(value) || value < 0) {
+        throw new Error(`${type.label}: ${field} must be a non-negative number.`);
+      }
+    });
+
+    let valuation;
+    switch (item.type) {
+      case 'car':
+        valuation = valueCar(item, benefitRules);
+        break;
+      case 'meals': {
+        const exempt = Math.min(item.value, benefitRules.mealsExemption);
+        valuation = {
+          taxableValue: item.value - exempt,
+          explanation: `Employer-provided meals are exempt up to Ksh ${benefitRules.mealsExemption.toFixed(2)} a month.`,
+        };
+        break;
+      }
+      case 'telephone':
+        valuation = {
+          taxableValue: item.value * benefitRules.telephoneRate,
+          explanation: `${benefitRules.telephoneRate * 100}% of the telephone bill paid by the employer.`,
+        };
+        break;
+      case 'loan':
+        valuation = valueLoan(item, benefitRules);
+        break;
+      default:
+        // Utilities and school fees are taxed at their cost to the employer
+        valuation = { taxableValue: item.value, explanation: 'Taxed at the cost to the employer.' };
+    }
+
+    return {
+      ...item,
+      label: type.label,
+      ...valuation,
+      taxableValue: toMoney(valuation.taxableValue),
+    };
+  });
+}
@@ -0,0 +1,79 @@
+// utils/csv.js
+
+/**
+ * Minimal RFC 4180 CSV reading and writing for payroll imports and exports.
+ */
+
+/**
+ * Parses CSV text into rows of cells. Handles quoted cells with commas, doubled quotes and line breaks,
+ * CRLF or LF line endings, and a leading byte-order mark. Blank lines are skipped.
+ *
+ * @param {string} text - CSV text.
+ * @returns {Array<{line: number, cells: Array<string>}>} Rows with the file line each starts on (1-based).
+ * @throws {Error} If a quoted cell is never closed.
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const source = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      cells.push(cell);
+      if (cells.some((value) => value.trim() !== '')) rows.push({ line: rowLine, cells });
+      cells = [];
+      cell = '';
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unclosed quote in the row starting on line ${rowLine}.`);
+  }
+  cells.push(cell);
+  if (cells.some((value) => value.trim() !== '')) rows.push({ line: rowLine, cells });
+  return rows;
+}
+
+/**
+ * Quotes a value for CSV when it contains a comma, quote or line break.
+ */
+function escapeCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialises rows of values as CSV text with CRLF line endings (as spreadsheet apps expect).
+ *
+ * @param {Array<Array<*>>} rows - Rows of cell values; null and undefined become empty cells.
+ * @returns {string} CSV text.
+ */
+export function toCSV(rows) {
+  return rows.map((row) => row.map(escapeCell).join(',')).join('\r\n');
+}
@@ -0,0 +1,197 @@
+// utils/finalDues.js
+
+import { calculatePAYE, calculateBandTax } from './payeLogic';
+import { getTaxRules, prorateRules, TAX_RULE_SETS } from './taxRules';
+
+/**
+ * Final dues: the last month's pay plus the terminal benefits paid when an employee leaves.
+ *
+ * Each terminal benefit is taxed its own way (limits and rates are in the rule set's `terminalBenefits` block):
+ * - Pay in lieu of notice is added to the final month's pay and taxed with it.
+ * - Gratuity is spread back in equal shares over the years it was earned and each share is taxed at the
+ *   marginal rate of that year, on top of the employee's taxable pay for the year.
+ * - Severance pay (compensation for loss of office under a contract with no agreed term) is spread in equal
+ *   shares over the years after leaving, each taxed on the annual bands on its own.
+ * - A commuted pension or provident fund lump sum has a tax-free portion; the rest is taxed on the lump-sum bands.
+ */
+
+/**
+ * Terminal benefits accepted by calculateFinalDues, in statement order.
+ */
+export const TERMINAL_COMPONENTS = {
+  noticePay: { label: 'Pay in Lieu of Notice', treatment: "Taxed with the final month's pay" },
+  gratuity: { label: 'Gratuity', treatment: 'Spread back over the years it was earned' },
+  severance: { label: 'Severance Pay', treatment: 'Spread over the years after leaving' },
+  pensionLumpSum: { label: 'Pension / Provident Lump Sum', treatment: 'Tax-free portion, then the lump-sum bands' },
+};
+
+const round = (amount) => parseFloat(amount.toFixed(2));
+
+function validateAmount(label, value) {
+  if (typeof value !== 'number' || isNaN(value) || value < 0) {
+    throw new Error(`${label} must be a non-negative number.`);
+  }
+}
+
+/**
+ * Annual rules for a calendar year. Years before the earliest supported rule set use that rule set.
+ *
+ * @returns {{rules: object, ruleSet: {id: string, name: string, effectiveFrom: string}}}
+ */
+function annualRulesFor(payPeriod) {
+  let rules;
+  try {
+    rules = getTaxRules(payPeriod);
+  } catch (err) {
+    rules = TAX_RULE_SETS[0];
+  }
+  return {
+    rules: prorateRules(rules, 'annual'),
+    ruleSet: { id: rules.id, name: rules.name, effectiveFrom: rules.effectiveFrom },
+  };
+}
+
+/**
+ * Calculates an employee's final dues.
+ *
+ * @param {object} params
+ * @param {object} params.salaryParams - calculatePAYE parameters for the final month's pay (gross pay, deductions,
+ *   tax status, pay period and so on). Irregular earnings such as leave pay go in its `earnings`.
+ * @param {number} [params.noticePay=0] - Pay in lieu of notice.
+ * @param {number} [params.gratuity=0] - Gratuity.
+ * @param {number} [params.gratuityYears=1] - Years the gratuity was earned over (1 up to the rule set's limit).
+ * @param {number} [params.severance=0] - Severance pay.
+ * @param {number} [params.pensionLumpSum=0] - Commuted pension or provident fund lump sum.
+ * @param {number} [params.yearsOfService=0] - Full years of fund membership, for the lump sum's tax-free portion.
+ * @param {boolean} [params.onRetirement=false] - Whether the lump sum is paid on retirement (or through ill health).
+ * @param {number} [params.annualTaxablePay] - The employee's taxable pay in each year the gratuity is spread over.
+ *   Defaults to the final month's taxable pay for a full year.
+ * @returns {{payPeriod: string, ruleSet: object, taxRegime: object, finalMonth: object,
+ *   components: Array<{type: string, label: string, treatment: string, amount: number, taxFree: number, tax: number,
+ *     otherDeductions: number, net: number, years?: Array<{year: number, amount: number, tax: number, ruleSet: object}>}>,
+ *   totals: {grossPay: number, tax: number, otherDeductions: number, netPay: number}}}
+ *   finalMonth is the calculatePAYE result for the final month's pay. A component's otherDeductions are the NSSF, SHIF,
+ *   AHL and other deductions it adds to the final month (only pay in lieu of notice has any). totals cover that pay
+ *   and every component.
+ * @throws {Error} If an input is invalid, or the employee is taxed under withholding tax.
+ */
+export function calculateFinalDues({
+  salaryParams,
+  noticePay = 0,
+  gratuity = 0,
+  gratuityYears = 1,
+  severance = 0,
+  pensionLumpSum = 0,
+  yearsOfService = 0,
+  onRetirement = false,
+  annualTaxablePay,
+}) {
+  [
+    ['Pay in lieu of notice', noticePay],
+    ['Gratuity', gratuity],
+    ['Severance pay', severance],
+    ['Pension lump sum', pensionLumpSum],
+    ['Years of service', yearsOfService],
+  ].forEach(([label, value]) => validateAmount(label, value));
+
+  const finalMonth = calculatePAYE(salaryParams);
+  const taxStatus = finalMonth.taxRegime.status;
+  if (taxStatus === 'casual' || taxStatus === 'consultant') {
+    throw new Error('Final dues apply to employees taxed under PAYE; withholding tax is deducted from each payment instead.');
+  }
+
+  const { payPeriod } = finalMonth;
+  const leavingYear = Number(payPeriod.slice(0, 4));
+  const rules = getTaxRules(payPeriod);
+  const limits = rules.terminalBenefits;
+  const { rules: leavingYearRules } = annualRulesFor(payPeriod);
+
+  // Tax on income on top of a year's taxable pay: the bands for most employees, a flat rate for non-residents
+  const annualTax = (income, annualRules) =>
+    taxStatus === 'nonResident' ? income * annualRules.paye.nonResidentRate : calculateBandTax(income, annualRules.paye.bands);
+
+  const components = [];
+  const addComponent = (type, amount, tax, extra = {}, otherDeductions = 0) => {
+    components.push({
+      type,
+      label: TERMINAL_COMPONENTS[type].label,
+      treatment: TERMINAL_COMPONENTS[type].treatment,
+      amount: round(amount),
+      taxFree: 0,
+      tax: round(tax),
+      otherDeductions: round(otherDeductions),
+      net: round(amount - tax - otherDeductions),
+      ...extra,
+    });
+  };
+
+  // --- Pay in lieu of notice: the extra PAYE and statutory deductions it adds to the final month ---
+  if (noticePay > 0) {
+    const withNotice = calculatePAYE({ ...salaryParams, grossPay: salaryParams.grossPay + noticePay });
+    const extraTax = withNotice.paye - finalMonth.paye;
+    const extraDeductions = withNotice.totalDeductions - finalMonth.totalDeductions - extraTax;
+    addComponent('noticePay', noticePay, extraTax, {}, extraDeductions);
+  }
+
+  // --- Gratuity: spread back, each share taxed at the marginal rate of the year it was earned in ---
+  if (gratuity > 0) {
+    if (!Number.isInteger(gratuityYears) || gratuityYears < 1 || gratuityYears > limits.gratuityMaxYears) {
+      throw new Error(`Gratuity can be spread over 1 to ${limits.gratuityMaxYears} years.`);
+    }
+    const yearlyTaxablePay = annualTaxablePay ?? finalMonth.taxableIncome * finalMonth.payFrequency.periodsPerYear;
+    validateAmount('Annual taxable pay', yearlyTaxablePay);
+    const share = gratuity / gratuityYears;
+    const years = Array.from({ length: gratuityYears }, (_, index) => {
+      const year = leavingYear - gratuityYears + 1 + index;
+      // The leaving year is taxed under the rules of the final month; earlier years under their December rules
+      const { rules: yearRules, ruleSet } = annualRulesFor(year === leavingYear ? payPeriod : `${year}-12`);
+      const tax = annualTax(yearlyTaxablePay + share, yearRules) - annualTax(yearlyTaxablePay, yearRules);
+      return { year, amount: round(share), tax: round(tax), ruleSet };
+    });
+    addComponent('gratuity', gratuity, years.reduce((sum, year) => sum + year.tax, 0), { years });
+  }
+
+  // --- Severance: spread forward, each share taxed on its own (on the leaving year's bands; later ones are unknown) ---
+  if (severance > 0) {
+    const spreadYears = limits.severanceSpreadYears;
+    const share = severance / spreadYears;
+    const shareTax = round(annualTax(share, leavingYearRules));
+    const years = Array.from({ length: spreadYears }, (_, index) => ({
+      year: leavingYear + 1 + index,
+      amount: round(share),
+      tax: shareTax,
+      ruleSet: finalMonth.ruleSet,
+    }));
+    addComponent('severance', severance, shareTax * spreadYears, { years });
+  }
+
+  // --- Pension or provident lump sum: tax-free portion, then the lump-sum bands ---
+  if (pensionLumpSum > 0) {
+    const lumpSumRules = limits.pensionLumpSum;
+    const allowance = onRetirement
+      ? lumpSumRules.retirementTaxFree
+      : Math.min(Math.floor(yearsOfService) * lumpSumRules.taxFreePerYearOfService, lumpSumRules.maxTaxFree);
+    const taxFree = Math.min(allowance, pensionLumpSum);
+    addComponent('pensionLumpSum', pensionLumpSum, calculateBandTax(pensionLumpSum - taxFree, lumpSumRules.bands), {
+      taxFree: round(taxFree),
+    });
+  }
+
+  const componentsPaid = components.reduce((sum, component) => sum + component.amount, 0);
+  const componentsTax = components.reduce((sum, component) => sum + component.tax, 0);
+  const componentsOtherDeductions = components.reduce((sum, component) => sum + component.otherDeductions, 0);
+
+  return {
+    payPeriod,
+    ruleSet: finalMonth.ruleSet,
+    taxRegime: finalMonth.taxRegime,
+    finalMonth,
+    components,
+    totals: {
+      grossPay: round(finalMonth.grossPay + componentsPaid),
+      tax: round(finalMonth.paye + componentsTax),
+      otherDeductions: round(finalMonth.totalDeductions - finalMonth.paye + componentsOtherDeductions),
+      netPay: round(finalMonth.netPay + componentsPaid - componentsTax - componentsOtherDeductions),
+    },
+  };
+}
@@ -0,0 +1,83 @@
+// utils/historyFilters.js
+
+/**
+ * Parses an optional 'YYYY-MM-DD' date filter.
+ *
+ * @param {string} text - User input.
+ * @param {boolean} endOfDay - True to return the last millisecond of the day (for an inclusive "to" date).
+ * @returns {Date|null|undefined} The date, null when empty, or undefined when the input is invalid.
+ */
+export function parseDateFilter(text, endOfDay = false) {
+  const trimmed = (text || '').trim();
+  if (trimmed === '') return null;
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(trimmed);
+  if (!match) return undefined;
+
+  const [, year, month, day] = match.map(Number);
+  const date = endOfDay ? new Date(year, month - 1, day, 23, 59, 59, 999) : new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 ? date : undefined;
+}
+
+/**
+ * Parses an optional amount filter.
+ *
+ * @param {string} text - User input, commas allowed.
+ * @returns {number|null|undefined} The amount, null when empty, or undefined when the input is invalid.
+ */
+export function parseAmountFilter(text) {
+  const trimmed = (text || '').replace(/,/g, '').trim();
+  if (trimmed === '') return null;
+
+  const amount = Number(trimmed);
+  return isNaN(amount) || amount < 0 ? undefined : amount;
+}
+
+/**
+ * Checks whether a history entry matches a free-text search.
+ * Matches the label case-insensitively, or any of the main amounts by their digits (e.g. "72352" or "72,352").
+ *
+ * @param {object} entry - History entry.
+ * @param {string} query - Search text.
+ * @returns {boolean} True if the entry matches.
+ */
+function matchesQuery(entry, query) {
+  const trimmed = query.trim().toLowerCase();
+  if (trimmed === '') return true;
+
+  if (entry.label && entry.label.toLowerCase().includes(trimmed)) return true;
+
+  const digits = trimmed.replace(/,/g, '');
+  if (!/^\d+(\.\d*)?$/.test(digits)) return false;
+  return [entry.grossPay, entry.netPay, entry.paye]
+    .filter((amount) => typeof amount === 'number')
+    .some((amount) => amount.toFixed(2).includes(digits));
+}
+
+/**
+ * Filters history entries by search text, date range and net-pay range.
+ * Filters left as null are ignored.
+ *
+ * @param {Array<object>} history - History entries.
+ * @param {object} filters - Filter values.
+ * @param {string} [filters.query] - Search text for the label or amounts.
+ * @param {Date|null} [filters.fromDate] - Earliest calculation date (inclusive).
+ * @param {Date|null} [filters.toDate] - Latest calculation date (inclusive).
+ * @param {number|null} [filters.minNetPay] - Lowest net pay (inclusive).
+ * @param {number|null} [filters.maxNetPay] - Highest net pay (inclusive).
+ * @returns {Array<object>} Matching entries, in their original order.
+ */
+export function filterHistory(history, { query = '', fromDate = null, toDate = null, minNetPay = null, maxNetPay = null } = {}) {
+  return history.filter((entry) => {
+    if (!matchesQuery(entry, query)) return false;
+
+    const calculatedAt = new Date(entry.timestamp);
+    if (fromDate && calculatedAt < fromDate) return false;
+    if (toDate && calculatedAt > toDate) return false;
+
+    if (minNetPay !== null && entry.netPay < minNetPay) return false;
+    if (maxNetPay !== null && entry.netPay > maxNetPay) return false;
+
+    return true;
+  });
+}
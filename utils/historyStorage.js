@@ -0,0 +1,117 @@
+// utils/historyStorage.js
+
+import * as FileSystem from 'expo-file-system';
+
+/**
+ * On-device storage for calculation history.
+ *
+ * History is saved as a single JSON document: { version, entries }. When the shape of saved
+ * entries changes, bump HISTORY_STORAGE_VERSION and add a migration from the previous version,
+ * so older stores are upgraded on load instead of being discarded.
+ */
+
+export const HISTORY_STORAGE_VERSION = 2;
+
+const HISTORY_FILE = FileSystem.documentDirectory + 'history.json';
+const HISTORY_TEMP_FILE = FileSystem.documentDirectory + 'history.tmp.json';
+const HISTORY_CORRUPT_FILE = FileSystem.documentDirectory + 'history.corrupt.json';
+
+// migrations[n] upgrades a version-n store to version n + 1.
+const migrations = {
+  // Version 1 entries had no id; derive a stable one so they can be labelled and deleted.
+  1: (store) => ({
+    version: 2,
+    entries: store.entries.map((entry, index) => ({ ...entry, id: entry.id || `${entry.timestamp || 'entry'}-${index}` })),
+  }),
+};
+
+/**
+ * Upgrades a parsed store to the current version.
+ *
+ * @param {object} store - Parsed contents of the history file.
+ * @returns {Array<object>} History entries in the current shape.
+ * @throws {Error} If the store is not a versioned store, or is from a newer or unknown version.
+ */
+function migrate(store) {
+  if (!store || typeof store !== 'object' || Array.isArray(store) || !Number.isInteger(store.version)) {
+    throw new Error('History store has no version.');
+  }
+  let current = { ...store };
+  let version = store.version;
+
+  while (version < HISTORY_STORAGE_VERSION) {
+    const upgrade = migrations[version];
+    if (!upgrade) {
+      throw new Error(`No migration for history store version ${version}.`);
+    }
+    current = upgrade(current);
+    version = current.version;
+  }
+
+  if (version !== HISTORY_STORAGE_VERSION || !Array.isArray(current.entries)) {
+    throw new Error(`Unsupported history store version ${version}.`);
+  }
+  return current.entries;
+}
+
+/**
+ * Loads saved history, newest first.
+ *
+ * A missing file means no history yet. A file that cannot be read or migrated is moved aside to
+ * history.corrupt.json and an empty history is returned, so a bad store never crashes the app.
+ *
+ * @returns {Promise<Array<object>>} Saved history entries.
+ */
+export async function loadHistory() {
+  try {
+    const info = await FileSystem.getInfoAsync(HISTORY_FILE);
+    if (!info.exists) {
+      // A save interrupted between its delete and move leaves only the temporary file behind
+      const tempInfo = await FileSystem.getInfoAsync(HISTORY_TEMP_FILE);
+      if (!tempInfo.exists) {
+        return [];
+      }
+      await FileSystem.moveAsync({ from: HISTORY_TEMP_FILE, to: HISTORY_FILE });
+    }
+    const contents = await FileSystem.readAsStringAsync(HISTORY_FILE, { encoding: FileSystem.EncodingType.UTF8 });
+    return migrate(JSON.parse(contents));
+  } catch (error) {
+    console.error('History load error:', error);
+    try {
+      // Keep the unreadable file for inspection, then start afresh
+      await FileSystem.deleteAsync(HISTORY_CORRUPT_FILE, { idempotent: true });
+      await FileSystem.moveAsync({ from: HISTORY_FILE, to: HISTORY_CORRUPT_FILE });
+    } catch (moveError) {
+      console.error('History recovery error:', moveError);
+    }
+    return [];
+  }
+}
+
+// Writes run one after another so a slow write never overtakes a newer one.
+let pendingWrite = Promise.resolve();
+
+/**
+ * Saves history in the background.
+ *
+ * The file is written to a temporary path and then moved into place, so an interrupted write
+ * leaves the previous store intact. Failures are logged and never thrown to the caller.
+ *
+ * @param {Array<object>} entries - History entries to save, newest first.
+ * @returns {Promise<void>} Resolves when this write (and any queued before it) has finished.
+ */
+export function saveHistory(entries) {
+  const contents = JSON.stringify({ version: HISTORY_STORAGE_VERSION, entries });
+
+  pendingWrite = pendingWrite
+    .then(async () => {
+      await FileSystem.writeAsStringAsync(HISTORY_TEMP_FILE, contents, { encoding: FileSystem.EncodingType.UTF8 });
+      await FileSystem.deleteAsync(HISTORY_FILE, { idempotent: true });
+      await FileSystem.moveAsync({ from: HISTORY_TEMP_FILE, to: HISTORY_FILE });
+    })
+    .catch((error) => {
+      console.error('History save error:', error);
+    });
+
+  return pendingWrite;
+}
@@ -0,0 +1,145 @@
+// utils/minimumWage.js
+
+import { toPayPeriodDate, PAY_FREQUENCIES } from './taxRules';
+
+/**
+ * Statutory minimum wages under the Regulation of Wages Orders, versioned like the tax rule sets.
+ *
+ * The General Order sets monthly minimum basic pay (excluding housing allowance) by occupation and area;
+ * the Agricultural Industry Order by occupation only. Each Order applies from its `effectiveFrom` date until
+ * the next one starts. To add a new Order: append it to MINIMUM_WAGE_ORDERS with the gazetted rates,
+ * keeping the array sorted by `effectiveFrom`.
+ */
+
+/**
+ * Wage areas of the General Order.
+ */
+export const WAGE_AREAS = {
+  cities: 'Nairobi, Mombasa and Kisumu Cities',
+  municipalities: 'Former Municipalities, Mavoko, Ruiru and Limuru',
+  other: 'All Other Areas',
+};
+
+/**
+ * Occupations covered, with the Order each falls under.
+ */
+export const WAGE_OCCUPATIONS = {
+  generalLabourer: { label: 'General Labourer, Cleaner, House Servant, Messenger', sector: 'general' },
+  minerWaiterCook: { label: 'Miner, Stone Cutter, Turnboy, Waiter, Cook', sector: 'general' },
+  nightWatchman: { label: 'Night Watchman', sector: 'general' },
+  machineAttendant: { label: 'Machine Attendant', sector: 'general' },
+  driverMedium: { label: 'Tailor, Driver (Medium Vehicle)', sector: 'general' },
+  driverHeavy: { label: 'Cashier, Salesman, Driver (Heavy Commercial Vehicle)', sector: 'general' },
+  agriculturalUnskilled: { label: 'Agricultural: Unskilled Employee', sector: 'agricultural' },
+  stockman: { label: 'Agricultural: Stockman, Herdsman, Watchman', sector: 'agricultural' },
+  tractorDriver: { label: 'Agricultural: Tractor Driver', sector: 'agricultural' },
+};
+
+// Monthly minimum basic pay, Regulation of Wages Orders 2022 (12% increase, from 1st May 2022)
+const ORDERS_2022 = {
+  id: 'ROW-2022',
+  name: 'Regulation of Wages (Amendment) Orders 2022',
+  effectiveFrom: '2022-05-01',
+  general: {
+    generalLabourer: { cities: 15201.65, municipalities: 14025.10, other: 8109.90 },
+    minerWaiterCook: { cities: 16418.20, municipalities: 14962.70, other: 8765.10 },
+    nightWatchman: { cities: 16993.85, municipalities: 15552.10, other: 9027.55 },
+    machineAttendant: { cities: 16681.30, municipalities: 15315.95, other: 9141.95 },
+    driverMedium: { cities: 22948.85, municipalities: 20998.25, other: 11887.00 },
+    driverHeavy: { cities: 27740.05, municipalities: 25397.35, other: 15164.75 },
+  },
+  agricultural: {
+    agriculturalUnskilled: 7240.95,
+    stockman: 8371.30,
+    tractorDriver: 10224.60,
+  },
+};
+
+// Regulation of Wages Orders 2024 (6% increase, from 1st November 2024)
+const ORDERS_2024 = {
+  id: 'ROW-2024',
+  name: 'Regulation of Wages (Amendment) Orders 2024',
+  effectiveFrom: '2024-11-01',
+  general: {
+    generalLabourer: { cities: 16113.75, municipalities: 14866.61, other: 8596.49 },
+    minerWaiterCook: { cities: 17403.29, municipalities: 15860.46, other: 9291.01 },
+    nightWatchman: { cities: 18013.48, municipalities: 16485.23, other: 9569.20 },
+    machineAttendant: { cities: 17682.18, municipalities: 16234.91, other: 9690.47 },
+    driverMedium: { cities: 24325.78, municipalities: 22258.15, other: 12600.22 },
+    driverHeavy: { cities: 29404.45, municipalities: 26921.19, other: 16074.64 },
+  },
+  agricultural: {
+    agriculturalUnskilled: 7675.41,
+    stockman: 8873.58,
+    tractorDriver: 10838.08,
+  },
+};
+
+/**
+ * All known wage orders, oldest first.
+ */
+export const MINIMUM_WAGE_ORDERS = [ORDERS_2022, ORDERS_2024];
+
+/**
+ * Returns the wage order in force for a pay period.
+ *
+ * @param {Date|string} [payPeriod] - Pay-period date (see toPayPeriodDate). Defaults to today.
+ * @returns {object|null} The matching order from MINIMUM_WAGE_ORDERS, or null before the earliest one.
+ */
+export function getWageOrder(payPeriod) {
+  const date = toPayPeriodDate(payPeriod);
+  let order = null;
+  for (const candidate of MINIMUM_WAGE_ORDERS) {
+    if (toPayPeriodDate(candidate.effectiveFrom) <= date) {
+      order = candidate;
+    }
+  }
+  return order;
+}
+
+/**
+ * Checks basic pay against the statutory minimum for an occupation and area.
+ *
+ * @param {object} params
+ * @param {string} params.occupation - Key of WAGE_OCCUPATIONS.
+ * @param {string} [params.area] - Key of WAGE_AREAS; required for General Order occupations.
+ * @param {number} params.basicPay - Basic pay for one pay period (excluding irregular earnings and benefits).
+ * @param {Date|string} [params.payPeriod] - Pay period, for picking the wage order.
+ * @param {string} [params.payFrequency='monthly'] - Key of PAY_FREQUENCIES; the monthly minimum is pro-rated to it.
+ * @returns {{order: {id: string, name: string, effectiveFrom: string}|null, occupation: string, area: string,
+ *   minimum: number|null, basicPay: number, shortfall: number, belowMinimum: boolean}}
+ *   order and minimum are null when the pay period predates every bundled order.
+ * @throws {Error} If the occupation or area is unknown.
+ */
+export function checkMinimumWage({ occupation, area, basicPay, payPeriod, payFrequency = 'monthly' }) {
+  const occupationInfo = WAGE_OCCUPATIONS[occupation];
+  if (!occupationInfo) {
+    throw new Error(`Unknown occupation "${occupation}".`);
+  }
+  const isGeneral = occupationInfo.sector === 'general';
+  if (isGeneral && !WAGE_AREAS[area]) {
+    throw new Error('Choose the area the employee works in for the minimum wage check.');
+  }
+
+  const order = getWageOrder(payPeriod);
+  const checked = {
+    occupation: occupationInfo.label,
+    area: isGeneral ? WAGE_AREAS[area] : 'All Areas',
+    basicPay: parseFloat(basicPay.toFixed(2)),
+  };
+  if (!order) {
+    return { ...checked, order: null, minimum: null, shortfall: 0, belowMinimum: false };
+  }
+
+  const monthlyMinimum = isGeneral ? order.general[occupation][area] : order.agricultural[occupation];
+  const minimum = parseFloat(((monthlyMinimum * 12) / PAY_FREQUENCIES[payFrequency].periodsPerYear).toFixed(2));
+  const shortfall = parseFloat(Math.max(0, minimum - basicPay).toFixed(2));
+
+  return {
+    ...checked,
+    order: { id: order.id, name: order.name, effectiveFrom: order.effectiveFrom },
+    minimum,
+    shortfall,
+    belowMinimum: shortfall > 0,
+  };
+}
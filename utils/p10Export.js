@@ -0,0 +1,198 @@
+// utils/p10Export.js
+
+import { toCSV } from './csv';
+
+/**
+ * KRA P10 monthly PAYE return: employee details sheet built from calculatePAYE results.
+ *
+ * Columns follow the order of the iTax P10 employee sheet. If KRA revises the layout, edit P10_COLUMNS;
+ * the validation below does not depend on column order.
+ */
+
+// Individual KRA PINs: 'A', nine digits, a check letter (e.g. A123456789B)
+const KRA_PIN_PATTERN = /^A\d{9}[A-Z]$/;
+
+// P10 "Type of Housing" values for each HOUSING_TYPES key
+const P10_HOUSING_TYPES = {
+  '1': "Employer's Owned House",
+  '2': 'Agriculture Farm',
+  '3': "Employer's Owned House",
+  '4': 'House to Non full time service Director',
+};
+
+// Irregular earnings by the P10 cash pay column they are reported in
+const P10_EARNING_COLUMNS = {
+  leavePay: 'leavePay',
+  overtime: 'overtime',
+  bonus: 'lumpSum',
+  arrears: 'lumpSum',
+  commission: 'otherAllowance',
+};
+
+const TOLERANCE = 0.01; // Rounding allowed when reconciling, in Ksh
+
+const sumBy = (items, get) => items.reduce((sum, item) => sum + get(item), 0);
+const round = (amount) => parseFloat(amount.toFixed(2));
+
+/**
+ * Works out the P10 figures for one employee.
+ */
+function p10Figures({ pin, name, result }) {
+  const earnings = result.earnings || [];
+  const cashByColumn = { leavePay: 0, overtime: 0, lumpSum: 0, otherAllowance: 0 };
+  earnings.forEach((earning) => {
+    cashByColumn[P10_EARNING_COLUMNS[earning.type]] += earning.amount;
+  });
+
+  const carBenefit = sumBy((result.benefitItems || []).filter((item) => item.type === 'car'), (item) => item.taxableValue);
+  const housing = result.housingBenefit;
+  const housingValue = housing ? housing.value : 0;
+  const claimed = (key) => ((result.reliefsAndDeductions || []).find((item) => item.key === key) || { allowed: 0 }).allowed;
+  const arrearsTax = sumBy(earnings.filter((earning) => earning.months), (earning) => earning.extraTax);
+
+  return {
+    pin: (pin || '').trim().toUpperCase(),
+    name,
+    residentialStatus: result.taxRegime?.status === 'nonResident' ? 'Non-Resident' : 'Resident',
+    employeeType: result.taxRegime?.status === 'secondary' ? 'Secondary Employee' : 'Primary Employee',
+    basicSalary: result.basicPay ?? result.grossPay,
+    ...cashByColumn,
+    totalCashPay: result.grossPay,
+    carBenefit,
+    otherNonCashBenefits: round(result.taxableBenefits - carBenefit - housingValue),
+    totalNonCashPay: round(result.taxableBenefits - housingValue),
+    housingType: housing ? P10_HOUSING_TYPES[housing.housingType] : 'Benefit not given',
+    housingMarketValue: housing ? housing.marketValue : 0,
+    housingComputedValue: housing ? housing.assessedValue : 0,
+    housingRentRecovered: housing ? housing.rent : 0,
+    housingNetValue: housingValue,
+    totalGrossPay: round(result.grossPay + result.taxableBenefits),
+    pensionContribution: result.pension,
+    pensionAllowed: claimed('pension'),
+    mortgageInterest: claimed('mortgageInterest'),
+    postRetirementMedical: claimed('postRetirementMedical'),
+    ahl: result.ahl,
+    shif: result.shif ?? 0,
+    taxablePay: result.taxableIncome,
+    taxPayable: result.taxBeforeRelief,
+    personalRelief: result.personalReliefUsed,
+    insuranceRelief: result.insuranceRelief ?? 0,
+    paye: result.paye,
+    arrearsTax,
+  };
+}
+
+/**
+ * P10 columns in file order: [header, field of p10Figures, isAmount].
+ */
+export const P10_COLUMNS = [
+  ['PIN of Employee', 'pin', false],
+  ['Name of Employee', 'name', false],
+  ['Residential Status', 'residentialStatus', false],
+  ['Type of Employee', 'employeeType', false],
+  ['Basic Salary', 'basicSalary', true],
+  ['Leave Pay', 'leavePay', true],
+  ['Overtime Allowance', 'overtime', true],
+  ['Lump Sum Payment', 'lumpSum', true],
+  ['Other Allowance', 'otherAllowance', true],
+  ['Total Cash Pay', 'totalCashPay', true],
+  ['Value of Car Benefit', 'carBenefit', true],
+  ['Other Non Cash Benefits', 'otherNonCashBenefits', true],
+  ['Total Non Cash Pay', 'totalNonCashPay', true],
+  ['Type of Housing', 'housingType', false],
+  ['Rent of House/Market Value', 'housingMarketValue', true],
+  ['Computed Rent of House', 'housingComputedValue', true],
+  ['Rent Recovered from Employee', 'housingRentRecovered', true],
+  ['Net Value of Housing', 'housingNetValue', true],
+  ['Total Gross Pay', 'totalGrossPay', true],
+  ['Actual Pension Contribution', 'pensionContribution', true],
+  ['Allowable Pension Contribution', 'pensionAllowed', true],
+  ['Mortgage Interest', 'mortgageInterest', true],
+  ['Post Retirement Medical Fund', 'postRetirementMedical', true],
+  ['Affordable Housing Levy', 'ahl', true],
+  ['Social Health Insurance Fund', 'shif', true],
+  ['Taxable Pay', 'taxablePay', true],
+  ['Tax Payable', 'taxPayable', true],
+  ['Monthly Personal Relief', 'personalRelief', true],
+  ['Amount of Insurance Relief', 'insuranceRelief', true],
+  ['PAYE Tax', 'paye', true],
+];
+
+/**
+ * Builds the P10 employee sheet as CSV and checks it before filing.
+ *
+ * Entries taxed under withholding tax (casual workers, consultants) are left out with a warning:
+ * they are filed on the withholding tax return, not the P10.
+ *
+ * @param {Array<{pin: string, name: string, result: object}>} entries - Employee identity and calculatePAYE result.
+ * @returns {{csv: string|null, errors: Array<string>, warnings: Array<string>, totals: {employees: number, grossPay: number, paye: number}}}
+ *   csv is null when there are errors; the file would be rejected by iTax.
+ */
+export function buildP10Return(entries) {
+  const errors = [];
+  const warnings = [];
+
+  const included = entries.filter(({ name, result }) => {
+    const status = result.taxRegime?.status;
+    if (status === 'casual' || status === 'consultant') {
+      warnings.push(`${name}: ${result.taxRegime.label.toLowerCase()} under withholding tax, left out of the P10.`);
+      return false;
+    }
+    return true;
+  });
+
+  if (included.length === 0) {
+    errors.push('There are no employees taxed under PAYE to file.');
+  }
+
+  // One return covers one month
+  const periods = [...new Set(included.map(({ result }) => result.payPeriod))];
+  if (periods.length > 1) {
+    errors.push(`All employees must be for the same pay period (found ${periods.join(', ')}).`);
+  }
+  if (included.some(({ result }) => result.payFrequency && result.payFrequency.key !== 'monthly')) {
+    errors.push('The P10 is a monthly return; run weekly, daily or annual pay as monthly totals before filing.');
+  }
+
+  const rows = included.map(p10Figures);
+
+  // PIN checks
+  const seenPins = {};
+  rows.forEach((row) => {
+    if (!KRA_PIN_PATTERN.test(row.pin)) {
+      errors.push(`${row.name}: PIN "${row.pin}" is not a valid KRA PIN (expected e.g. A123456789B).`);
+    } else if (seenPins[row.pin]) {
+      errors.push(`${row.name}: PIN ${row.pin} is also used by ${seenPins[row.pin]}.`);
+    } else {
+      seenPins[row.pin] = row.name;
+    }
+  });
+
+  // Reconcile each row: cash pay adds up, and PAYE is tax payable less reliefs (plus tax on arrears,
+  // which is worked out on the months they relate to)
+  rows.forEach((row) => {
+    const cashPay = row.basicSalary + row.leavePay + row.overtime + row.lumpSum + row.otherAllowance;
+    if (Math.abs(cashPay - row.totalCashPay) > TOLERANCE) {
+      errors.push(`${row.name}: cash pay items (${cashPay.toFixed(2)}) do not add up to total cash pay (${row.totalCashPay.toFixed(2)}).`);
+    }
+    const expectedPaye = Math.max(0, row.taxPayable - row.personalRelief - row.insuranceRelief) + row.arrearsTax;
+    if (Math.abs(expectedPaye - row.paye) > TOLERANCE) {
+      errors.push(`${row.name}: PAYE ${row.paye.toFixed(2)} does not equal tax payable less reliefs (${expectedPaye.toFixed(2)}).`);
+    }
+  });
+
+  const totals = {
+    employees: rows.length,
+    grossPay: round(sumBy(rows, (row) => row.totalCashPay)),
+    paye: round(sumBy(rows, (row) => row.paye)),
+  };
+
+  const csv = errors.length > 0
+    ? null
+    : toCSV([
+        P10_COLUMNS.map(([header]) => header),
+        ...rows.map((row) => P10_COLUMNS.map(([, field, isAmount]) => (isAmount ? row[field].toFixed(2) : row[field]))),
+      ]);
+
+  return { csv, errors, warnings, totals };
+}
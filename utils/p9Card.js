@@ -0,0 +1,192 @@
+// utils/p9Card.js
+
+import { PAYSLIP_CONFIG, escapeHtml, formatAmount, renderTemplate } from './payslipTemplate';
+
+/**
+ * P9A tax deduction card: an employee's twelve monthly PAYE calculations for a year, from history.
+ *
+ * History entries belong to an employee through their label (set from the History screen).
+ * Only monthly PAYE calculations count; weekly, daily or annual runs and withholding-tax entries are skipped.
+ */
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * P9A columns in card order: [letter, heading, field of p9Values].
+ */
+export const P9_COLUMNS = [
+  ['A', 'Basic Salary', 'basicSalary'],
+  ['B', 'Benefits Non-Cash', 'benefits'],
+  ['C', 'Value of Quarters', 'quarters'],
+  ['D', 'Total Gross Pay', 'grossPay'],
+  ['E', 'Retirement Contribution', 'retirementContribution'],
+  ['F', 'Owner-Occupied Interest', 'ownerOccupiedInterest'],
+  ['G', 'Other Allowable Deductions', 'otherDeductions'],
+  ['H', 'Chargeable Pay', 'chargeablePay'],
+  ['J', 'Tax Charged', 'taxCharged'],
+  ['K', 'Relief', 'relief'],
+  ['L', 'PAYE Tax', 'paye'],
+];
+
+// Month a history entry is for; entries saved before results recorded a pay period use the date they were saved
+const entryPayPeriod = (entry) => entry.payPeriod || (entry.timestamp || '').slice(0, 7);
+
+// A history entry counts towards a P9 card if it is a monthly PAYE calculation
+const isMonthlyPaye = (entry) =>
+  (!entry.payFrequency || entry.payFrequency.key === 'monthly') &&
+  !['casual', 'consultant'].includes(entry.taxRegime?.status);
+
+/**
+ * Names of the employees with labelled monthly calculations in history, alphabetically.
+ *
+ * @param {Array<object>} history - History entries.
+ * @returns {Array<string>} Employee labels.
+ */
+export function listP9Employees(history) {
+  const names = history.filter((entry) => entry.label && isMonthlyPaye(entry)).map((entry) => entry.label.trim());
+  return [...new Set(names)].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Works out the P9A columns for one month's calculation.
+ */
+function p9Values(entry) {
+  const claimed = (key) => ((entry.reliefsAndDeductions || []).find((item) => item.key === key) || { allowed: 0 }).allowed;
+  const quarters = entry.housingBenefit ? entry.housingBenefit.value : 0;
+  const grossPay = entry.grossPay + (entry.taxableBenefits || 0);
+  // Older entries have no reliefs breakdown; their pension deduction is taken in full
+  const pension = entry.reliefsAndDeductions ? claimed('pension') : entry.pension || 0;
+  const retirementContribution = (entry.nssf || 0) + pension;
+  const ownerOccupiedInterest = claimed('mortgageInterest');
+  // Arrears are paid (and their tax deducted) this month but taxed on the months they relate to, outside taxableIncome
+  // and taxBeforeRelief; they go into H and J so that the card adds up to the PAYE deducted
+  const arrears = (entry.earnings || []).filter((earning) => earning.months);
+  const arrearsPaid = arrears.reduce((sum, earning) => sum + earning.amount, 0);
+  const arrearsTax = arrears.reduce((sum, earning) => sum + earning.extraTax, 0);
+  const chargeablePay = entry.taxableIncome !== undefined
+    ? parseFloat((entry.taxableIncome + arrearsPaid).toFixed(2))
+    : grossPay - retirementContribution;
+  const personalRelief = entry.personalReliefUsed ?? 2400;
+  const relief = personalRelief + (entry.insuranceRelief || 0);
+
+  return {
+    basicSalary: entry.basicPay ?? entry.grossPay,
+    benefits: parseFloat(((entry.taxableBenefits || 0) - quarters).toFixed(2)),
+    quarters,
+    grossPay: parseFloat(grossPay.toFixed(2)),
+    retirementContribution: parseFloat(retirementContribution.toFixed(2)),
+    ownerOccupiedInterest,
+    // SHIF, housing levy, medical fund, disability exemption and other deductions: whatever closes D - E - F to H
+    otherDeductions: parseFloat(Math.max(0, grossPay - retirementContribution - ownerOccupiedInterest - chargeablePay).toFixed(2)),
+    chargeablePay,
+    // Older entries did not record tax before relief; rebuild it from PAYE where relief was fully used
+    taxCharged: parseFloat((entry.taxBeforeRelief !== undefined ? entry.taxBeforeRelief + arrearsTax : entry.paye + relief).toFixed(2)),
+    relief: parseFloat(relief.toFixed(2)),
+    paye: entry.paye,
+  };
+}
+
+/**
+ * Builds an employee's P9A card for a year.
+ *
+ * When a month has more than one calculation the most recent is used and the month is flagged.
+ *
+ * @param {Array<object>} history - History entries (newest first, as stored).
+ * @param {string} employee - Employee label.
+ * @param {number} year - Calendar year, e.g. 2025.
+ * @returns {{employee: string, year: number, months: Array<{payPeriod: string, name: string, entry: object|null,
+ *   values: object|null, duplicates: number}>, missingMonths: Array<string>, totals: object}}
+ */
+export function buildP9Card(history, employee, year) {
+  const entries = history.filter(
+    (entry) => entry.label && entry.label.trim() === employee && isMonthlyPaye(entry) && entryPayPeriod(entry).startsWith(`${year}-`)
+  );
+
+  const months = MONTH_NAMES.map((name, index) => {
+    const payPeriod = `${year}-${String(index + 1).padStart(2, '0')}`;
+    const matches = entries
+      .filter((entry) => entryPayPeriod(entry) === payPeriod)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    const entry = matches[0] || null;
+    return { payPeriod, name, entry, values: entry ? p9Values(entry) : null, duplicates: Math.max(0, matches.length - 1) };
+  });
+
+  const totals = {};
+  P9_COLUMNS.forEach(([, , field]) => {
+    totals[field] = parseFloat(months.reduce((sum, month) => sum + (month.values ? month.values[field] : 0), 0).toFixed(2));
+  });
+
+  return {
+    employee,
+    year,
+    months,
+    missingMonths: months.filter((month) => !month.entry).map((month) => month.name),
+    totals,
+  };
+}
+
+/**
+ * Renders a P9A card as HTML for expo-print.
+ *
+ * @param {object} card - From buildP9Card.
+ * @param {object} [config] - Employer details; defaults to PAYSLIP_CONFIG.
+ * @returns {string} HTML document.
+ */
+export function buildP9Html(card, config = PAYSLIP_CONFIG) {
+  const headings = P9_COLUMNS.map(([letter, heading]) => `<th>${letter}<br/>${escapeHtml(heading)}</th>`).join('');
+  const rows = card.months
+    .map((month) =>
+      month.values
+        ? `<tr><td>${month.name}</td>${P9_COLUMNS.map(([, , field]) => `<td class="amount">${formatAmount(month.values[field])}</td>`).join('')}</tr>`
+        : `<tr class="missing"><td>${month.name}</td><td colspan="${P9_COLUMNS.length}">No calculation recorded</td></tr>`
+    )
+    .join('\n');
+  const totalsRow = `<tr class="total"><td>Totals</td>${P9_COLUMNS.map(([, , field]) => `<td class="amount">${formatAmount(card.totals[field])}</td>`).join('')}</tr>`;
+
+  return renderTemplate(P9_HTML_TEMPLATE, {
+    accentColor: escapeHtml(config.accentColor),
+    employerName: escapeHtml(config.companyName),
+    employerPin: escapeHtml(config.companyPin || '—'),
+    employee: escapeHtml(card.employee),
+    year: String(card.year),
+    headings,
+    rows: `${rows}\n${totalsRow}`,
+    missingNote: card.missingMonths.length > 0
+      ? `<p class="warning">Missing months: ${escapeHtml(card.missingMonths.join(', '))}</p>`
+      : '',
+  });
+}
+
+const P9_HTML_TEMPLATE = `
+<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8" />
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #333; margin: 24px; }
+  h1 { font-size: 18px; color: {{accentColor}}; margin-bottom: 4px; }
+  .details td { padding: 2px 12px 2px 0; font-size: 12px; }
+  table.card { width: 100%; border-collapse: collapse; margin-top: 12px; }
+  table.card th { background: #f0f4f8; font-size: 10px; padding: 4px; border: 1px solid #ddd; }
+  table.card td { font-size: 10px; padding: 4px; border: 1px solid #ddd; }
+  td.amount { text-align: right; }
+  tr.missing td { color: #dc3545; font-style: italic; }
+  tr.total td { font-weight: bold; border-top: 2px solid #999; }
+  .warning { color: #dc3545; font-size: 12px; }
+</style>
+</head>
+<body>
+  <h1>P9A TAX DEDUCTION CARD YEAR {{year}}</h1>
+  <table class="details">
+    <tr><td><b>Employer's Name</b></td><td>{{employerName}}</td></tr>
+    <tr><td><b>Employer's PIN</b></td><td>{{employerPin}}</td></tr>
+    <tr><td><b>Employee's Name</b></td><td>{{employee}}</td></tr>
+  </table>
+  {{missingNote}}
+  <table class="card">
+    <tr><th>Month</th>{{headings}}</tr>
+    {{rows}}
+  </table>
+</body>
+</html>
+`;
@@ -1,41 +1,565 @@
 // utils/payeLogic.js
 
+import { getTaxRules, toPayPeriodDate, formatPayPeriod, prorateRules, PAY_FREQUENCIES } from './taxRules';
+import { valueBenefitItems } from './benefitValuation';
+import { checkMinimumWage } from './minimumWage';
+
+/**
+ * Applies progressive tax bands to an amount.
+ *
+ * @param {number} amount - Income to tax.
+ * @param {Array<{upTo: number, rate: number}>} bands - Ascending bands; the last should have upTo = Infinity.
+ * @returns {number} Tax before relief.
+ */
+export function calculateBandTax(amount, bands) {
+  return calculateBandBreakdown(amount, bands).reduce((tax, band) => tax + band.tax, 0);
+}
+
+/**
+ * Splits an amount across progressive tax bands, for showing how the tax was reached.
+ *
+ * @param {number} amount - Income to tax.
+ * @param {Array<{upTo: number, rate: number}>} bands - Ascending bands; the last should have upTo = Infinity.
+ * @returns {Array<{from: number, upTo: number, rate: number, taxedAmount: number, tax: number}>} The bands the
+ *   amount reaches, each with the slice of income taxed in it and the (unrounded) tax on that slice.
+ */
+export function calculateBandBreakdown(amount, bands) {
+  const breakdown = [];
+  let lowerLimit = 0;
+
+  for (const band of bands) {
+    if (amount <= lowerLimit) break;
+    const taxedAmount = Math.min(amount, band.upTo) - lowerLimit;
+    breakdown.push({ from: lowerLimit, upTo: band.upTo, rate: band.rate, taxedAmount, tax: taxedAmount * band.rate });
+    lowerLimit = band.upTo;
+  }
+  return breakdown;
+}
+
+/**
+ * Housing types accepted by calculatePAYE (the `housingType` parameter).
+ */
+export const HOUSING_TYPES = {
+  '1': 'Ordinary',
+  '2': 'Farm (Agricultural Employee)',
+  '3': 'Director (Whole-Time Service)',
+  '4': 'Director (Other)',
+};
+
+/**
+ * Irregular earnings accepted by calculatePAYE (the `earnings` parameter).
+ *
+ * Overtime, commission, bonuses and leave pay are taxed in the month they are paid. Arrears are spread
+ * back over the months they relate to (`spread: true`) and taxed at the rates in force in each month.
+ */
+export const EARNING_TYPES = {
+  overtime: { label: 'Overtime', spread: false },
+  commission: { label: 'Commission', spread: false },
+  bonus: { label: 'Bonus', spread: false },
+  leavePay: { label: 'Leave Pay', spread: false },
+  arrears: { label: 'Salary Arrears', spread: true },
+};
+
+/**
+ * Post-tax deductions accepted by calculatePAYE (the `postTaxDeductions` parameter), with the order they are honoured in.
+ *
+ * They come out of net pay only; they do not reduce taxable pay. Under the Employment Act (s.19) deductions may not
+ * leave the employee with less than a third of their wages, so when net pay runs short the lower-priority ones
+ * are cut first.
+ */
+export const POST_TAX_DEDUCTION_TYPES = {
+  courtOrder: { label: 'Court-Ordered Deduction', priority: 1 },
+  helb: { label: 'HELB Loan Repayment', priority: 2 },
+  unionDues: { label: 'Union Dues', priority: 3 },
+  sacco: { label: 'SACCO Loan / Contribution', priority: 4 },
+  advance: { label: 'Salary Advance Recovery', priority: 5 },
+  other: { label: 'Other Deduction', priority: 6 },
+};
+
+/**
+ * Employee tax statuses accepted by calculatePAYE (the `taxStatus` parameter), each with the regime applied.
+ *
+ * Casual workers and consultants have withholding tax deducted from the cash paid instead of PAYE.
+ * Consultants are not employees, so no NSSF, SHIF, housing levy or employer costs apply to them.
+ */
+export const TAX_STATUSES = {
+  primary: {
+    label: 'Primary Employment',
+    regime: 'PAYE on the tax bands, less personal and insurance relief.',
+  },
+  secondary: {
+    label: 'Secondary Employment',
+    regime: 'PAYE on the tax bands with no reliefs; personal relief is only claimed from the primary employer.',
+  },
+  nonResident: {
+    label: 'Non-Resident Employee',
+    regime: 'Flat-rate tax on taxable pay with no reliefs.',
+  },
+  casual: {
+    label: 'Casual Worker',
+    regime: 'Withholding tax on the cash paid instead of PAYE; statutory contributions still apply.',
+  },
+  consultant: {
+    label: 'Consultant',
+    regime: 'Withholding tax on the fee instead of PAYE; no statutory contributions or employer costs.',
+  },
+};
+
+/**
+ * Lists the pay periods from one month to another, inclusive.
+ *
+ * @param {string} fromPeriod - First pay period ('YYYY-MM').
+ * @param {string} toPeriod - Last pay period ('YYYY-MM').
+ * @returns {Array<string>} Pay periods in order, e.g. ['2024-11', '2024-12', '2025-01'].
+ */
+function payPeriodsBetween(fromPeriod, toPeriod) {
+  const periods = [];
+  const date = toPayPeriodDate(fromPeriod);
+  const end = toPayPeriodDate(toPeriod);
+  while (date <= end) {
+    periods.push(formatPayPeriod(date));
+    date.setMonth(date.getMonth() + 1);
+  }
+  return periods;
+}
+
+/**
+ * Values employer-provided housing under Income Tax Act s.5(3).
+ *
+ * Ordinary employees and whole-time directors are taxed on the higher of a percentage of total income
+ * or the fair market rental value; agricultural employees housed on a farm on a lower percentage of total
+ * income; other directors on the fair market rental value. Rent paid to the employer is then deducted.
+ *
+ * @param {string} housingType - Key of HOUSING_TYPES.
+ * @param {number} totalIncome - Gross pay plus other taxable benefits, excluding the housing itself.
+ * @param {number} marketValue - Fair market rental value of the housing per month.
+ * @param {number} rent - Rent paid by the employee to the employer per month.
+ * @param {object} housingRules - The `housing` block of a rule set from utils/taxRules.js.
+ * @returns {object} { housingType, housingTypeLabel, basis, percentage, percentageValue, marketValue, assessedValue, rent, value, explanation }.
+ */
+function calculateHousingBenefit(housingType, totalIncome, marketValue, rent, housingRules) {
+  const label = HOUSING_TYPES[housingType] || HOUSING_TYPES['1'];
+  let percentage = null;
+  let assessedValue;
+  let basis;
+  let explanation;
+
+  if (housingType === '2') {
+    percentage = housingRules.farmRate;
+    assessedValue = totalIncome * percentage;
+    basis = 'percentageOfIncome';
+    explanation = `Farm housing is valued at ${percentage * 100}% of total income.`;
+  } else if (housingType === '4') {
+    assessedValue = marketValue;
+    basis = 'marketValue';
+    explanation = 'Directors not in whole-time service are taxed on the fair market rental value.';
+  } else {
+    percentage = housingRules.ordinaryRate;
+    const percentageValue = totalIncome * percentage;
+    assessedValue = Math.max(percentageValue, marketValue);
+    basis = percentageValue >= marketValue ? 'percentageOfIncome' : 'marketValue';
+    explanation = `Valued at the higher of ${percentage * 100}% of total income or the fair market rental value.`;
+  }
+
+  return {
+    housingType: HOUSING_TYPES[housingType] ? housingType : '1',
+    housingTypeLabel: label,
+    basis,
+    percentage,
+    percentageValue: percentage === null ? null : parseFloat((totalIncome * percentage).toFixed(2)),
+    marketValue: parseFloat(marketValue.toFixed(2)),
+    assessedValue: parseFloat(assessedValue.toFixed(2)),
+    rent: parseFloat(rent.toFixed(2)),
+    // Rent paid to the employer reduces the taxable benefit
+    value: parseFloat(Math.max(0, assessedValue - rent).toFixed(2)),
+    explanation,
+  };
+}
+
+const formatKsh = (amount) => `Ksh ${amount.toFixed(2)}`;
+const formatRate = (rate) => `${parseFloat((rate * 100).toFixed(2))}%`;
+
+/**
+ * One line of a calculation trace step.
+ *
+ * @param {string} label - What the line is.
+ * @param {number} amount - Signed amount; negative when it reduces the step's running figure.
+ * @param {string|null} [detail] - How the amount was worked out.
+ * @returns {{label: string, amount: number, detail: string|null}}
+ */
+function traceLine(label, amount, detail = null) {
+  return { label, amount: parseFloat(amount.toFixed(2)), detail };
+}
+
+/**
+ * Checks that an optional amount input is a non-negative number.
+ *
+ * @param {string} label - Field name used in the error message.
+ * @param {number} value - Value to check.
+ * @throws {Error} If the value is negative or not a number.
+ */
+function validateAmount(label, value) {
+  if (typeof value !== 'number' || isNaN(value) || value < 0) {
+    throw new Error(`${label} must be a non-negative number.`);
+  }
+}
+
+/**
+ * Applies a statutory cap to a claimed relief or deduction and records how much was disallowed.
+ *
+ * @param {string} key - Identifier, e.g. 'mortgageInterest'.
+ * @param {string} label - Display label.
+ * @param {'deduction'|'exemption'|'relief'} kind - Deductions and exemptions reduce taxable pay; reliefs reduce tax.
+ * @param {number} claimed - Amount claimed.
+ * @param {number|null} cap - Monthly cap, or null when uncapped.
+ * @returns {{key: string, label: string, kind: string, claimed: number, cap: number|null, allowed: number, disallowed: number}}
+ */
+function capClaim(key, label, kind, claimed, cap) {
+  const allowed = cap === null ? claimed : Math.min(claimed, cap);
+  return {
+    key,
+    label,
+    kind,
+    claimed: parseFloat(claimed.toFixed(2)),
+    cap,
+    allowed: parseFloat(allowed.toFixed(2)),
+    disallowed: parseFloat((claimed - allowed).toFixed(2)),
+  };
+}
+
+/**
+ * Splits the NSSF contribution into Tier I and Tier II for the employee and the matching employer share.
+ *
+ * @param {number} grossPay - Gross monthly salary (pensionable pay).
+ * @param {object} nssfRules - The `nssf` block of a rule set from utils/taxRules.js.
+ * @param {boolean} useActTiers - Whether to apply the NSSF Act 2013 tiers (false keeps the old flat rate).
+ * @param {boolean} deductTier2 - Whether Tier II is contributed to NSSF (false when contracted out).
+ * @returns {{tier1: number, tier2: number, employerTier1: number, employerTier2: number}} Monthly contributions.
+ */
+function calculateNSSF(grossPay, nssfRules, useActTiers, deductTier2) {
+  const { lowerEarningsLimit, upperEarningsLimit, rate, employerRate, legacyFlatContribution } = nssfRules;
+
+  // The Act 2013 tiers only apply once they were in force for the pay period.
+  if (!useActTiers || lowerEarningsLimit === null) {
+    // Old NSSF rates (flat KES 200 from each side)
+    return { tier1: legacyFlatContribution, tier2: 0, employerTier1: legacyFlatContribution, employerTier2: 0 };
+  }
+
+  // Tier I: pay up to the Lower Earnings Limit
+  const tier1Pay = Math.min(grossPay, lowerEarningsLimit);
+  // Tier II: pay between the Lower and Upper Earnings Limits
+  const tier2Pay = deductTier2 ? Math.max(0, Math.min(grossPay, upperEarningsLimit) - lowerEarningsLimit) : 0;
+
+  return {
+    tier1: parseFloat((tier1Pay * rate).toFixed(2)),
+    tier2: parseFloat((tier2Pay * rate).toFixed(2)),
+    employerTier1: parseFloat((tier1Pay * employerRate).toFixed(2)),
+    employerTier2: parseFloat((tier2Pay * employerRate).toFixed(2)),
+  };
+}
+
 /**
- * Calculates PAYE, NSSF, NHIF (SHIF), AHL, and Net Pay for Kenya based on KRA guidelines.
+ * Calculates PAYE, NSSF, SHIF (or NHIF for earlier periods), AHL, and Net Pay for Kenya based on KRA guidelines.
  *
  * @param {object} params - Object containing all input parameters for calculation.
- * @param {number} params.grossPay - Gross monthly salary.
- * @param {number} params.benefits - Non-cash benefits.
+ * @param {number} params.grossPay - Gross monthly salary (basic pay, excluding the irregular earnings below).
+ * @param {Array<object>} [params.earnings=[]] - Irregular earnings paid this month, each { type, amount } with type a key of
+ *   EARNING_TYPES. Arrears also take fromPeriod and toPeriod ('YYYY-MM', before this pay period) and optionally the
+ *   originalGrossPay paid in those months (defaults to grossPay). Statutory contributions are not recomputed on arrears.
+ * @param {Array<object>} [params.postTaxDeductions=[]] - Deductions from net pay (loans, dues, advances, court orders),
+ *   each { type, amount } with type a key of POST_TAX_DEDUCTION_TYPES and an optional description. Only the part that
+ *   keeps take-home pay at or above the legal minimum is deducted.
+ * @param {string} [params.occupation] - Key of WAGE_OCCUPATIONS (utils/minimumWage.js). When given, basic pay is checked
+ *   against the statutory minimum wage for the occupation and `wageArea` (a key of WAGE_AREAS).
+ * @param {number} params.benefits - Other non-cash benefits not itemised below (subject to the monthly exemption limit).
+ * @param {Array<object>} [params.benefitItems=[]] - Itemised non-cash benefits (car, meals, utilities, telephone, school fees,
+ *   staff loans), each valued by its own rule; see utils/benefitValuation.js.
  * @param {number} params.pension - Pension contribution by employee.
- * @param {number} params.allowableDeductions - Other allowable deductions (e.g., mortgage interest, post-retirement medical fund not covered by specific inputs).
+ * @param {number} params.allowableDeductions - Other allowable deductions not covered by the specific inputs below (uncapped).
+ * @param {number} [params.insurancePremiums=0] - Monthly life, education or health insurance premiums (15% insurance relief, capped).
+ * @param {number} [params.mortgageInterest=0] - Monthly owner-occupied mortgage interest (deductible up to its cap).
+ * @param {number} [params.postRetirementMedical=0] - Monthly post-retirement medical fund contributions (deductible up to its cap).
+ * @param {boolean} [params.hasDisabilityExemption=false] - True if the employee holds a disability exemption certificate.
+ *   Insurance premiums, mortgage interest and medical fund contributions only affect tax; they are not deducted from pay.
  * @param {boolean} params.housed - True if housed by employer.
- * @param {string} params.housingType - Type of housing (e.g., '1' for Ordinary, '2' for Farm - currently not used for specific calculations).
- * @param {number} params.housingValue - Value of employer-provided housing (used for housing benefit).
+ * @param {string} params.housingType - Type of housing, a key of HOUSING_TYPES ('1' Ordinary, '2' Farm, '3' or '4' Director).
+ * @param {number} params.housingValue - Fair market rental value of employer-provided housing (used for housing benefit).
  * @param {number} params.rent - Rent paid to employer for housing.
- * @param {boolean} params.ignoreBenefits - Whether to ignore non-cash benefits up to Ksh 5,000.
- * @param {boolean} params.use2025Tiers - Whether to use 2025 NSSF Tiers (reflecting NSSF Act 2013 phased implementation).
+ * @param {boolean} params.ignoreBenefits - Whether to ignore non-cash benefits up to the rule set's benefitsExemption.
+ * @param {boolean} params.use2025Tiers - Whether to use the NSSF Act 2013 tiers in force for the pay period (false keeps the old flat rate).
  * @param {boolean} params.deductTier2 - Whether to deduct Tier II NSSF.
  * @param {boolean} params.deductAHL - Whether to deduct Affordable Housing Levy.
+ * @param {string} [params.taxStatus='primary'] - Key of TAX_STATUSES. Decides whether PAYE or withholding tax applies,
+ *   which reliefs are given and whether statutory contributions are deducted.
+ * @param {Date|string} [params.payPeriod] - Pay-period date ('YYYY-MM' or a Date) used to pick the statutory rule set. Defaults to today.
+ * @param {string} [params.payFrequency='monthly'] - Key of PAY_FREQUENCIES. All amounts, including irregular earnings, are per
+ *   pay period of this frequency, and the bands, reliefs, caps and limits are pro-rated to it (see prorateRules).
+ *   Arrears are still spread over calendar months.
  * @returns {object} An object containing calculated values: grossPay, benefits, pension, allowableDeductions,
- * housingValue, rent, taxableIncome, paye, nssf, nhif, ahl, totalDeductions, netPay.
+ * housingValue, rent, taxableIncome, paye, nssf (with nssfTier1, nssfTier2 and the employer's nssfEmployerTier1,
+ * nssfEmployerTier2), healthScheme ('SHIF' or 'NHIF') with shif and nhif (only the one in force is non-zero),
+ * basicPay, earnings (each irregular earning with the extra tax it caused, and for arrears the tax per month),
+ * irregularTax, benefitItems (each itemised benefit with its taxable value), housingBenefit (how the housing benefit was derived, or null), ahl, insuranceRelief, reliefsAndDeductions (each relief and deduction claimed, allowed and disallowed),
+ * totalDeductions, netPay, the employerCost block with costToCompany, plus the payPeriod, ruleSet and taxRegime applied.
+ *   For casual workers and consultants `paye` holds the withholding tax deducted instead.
+ *   grossPay in the result is the total paid this pay period, including irregular earnings. payFrequency describes the
+ *   frequency used and monthlyEquivalent gives grossPay, paye, totalDeductions and netPay converted to a month.
+ *   trace lists every step as { title, lines: [{ label, amount, detail }], total } for showing how the figures were reached.
+ *   postTaxDeductions lists each post-tax deduction in priority order with the amount honoured and any shortfall;
+ *   postTaxDeductionsTotal is the amount honoured, minimumTakeHome the least net pay allowed and belowMinimumTakeHome
+ *   whether the deductions asked for would have gone below it. netPay and totalDeductions include post-tax deductions.
+ *   minimumWage holds the minimum wage check (see checkMinimumWage), with the wage order used, or null when no
+ *   occupation was given or the worker is a consultant.
+ * @throws {Error} If an input is invalid or a pay period has no rule set.
  */
-export function calculatePAYE({
+export function calculatePAYE({ earnings = [], postTaxDeductions = [], occupation, wageArea, ...params }) {
+  const { grossPay, payPeriod, payFrequency = 'monthly' } = params;
+  const frequency = PAY_FREQUENCIES[payFrequency];
+  if (!frequency) {
+    throw new Error(`Unknown pay frequency "${payFrequency}".`);
+  }
+  const currentPeriod = formatPayPeriod(toPayPeriodDate(payPeriod));
+
+  earnings.forEach((earning) => {
+    const type = EARNING_TYPES[earning.type];
+    if (!type) {
+      throw new Error(`Unknown earning type "${earning.type}".`);
+    }
+    validateAmount(type.label, earning.amount);
+    if (type.spread) {
+      if (!earning.fromPeriod || !earning.toPeriod) {
+        throw new Error(`${type.label}: enter the first and last month the arrears relate to.`);
+      }
+      const from = formatPayPeriod(toPayPeriodDate(earning.fromPeriod));
+      const to = formatPayPeriod(toPayPeriodDate(earning.toPeriod));
+      if (from > to || to >= currentPeriod) {
+        throw new Error(`${type.label}: the months must run from oldest to newest and end before ${currentPeriod}.`);
+      }
+      if (earning.originalGrossPay !== undefined) validateAmount(`${type.label} original gross pay`, earning.originalGrossPay);
+    }
+  });
+
+  postTaxDeductions.forEach((deduction) => {
+    const type = POST_TAX_DEDUCTION_TYPES[deduction.type];
+    if (!type) {
+      throw new Error(`Unknown deduction type "${deduction.type}".`);
+    }
+    validateAmount(type.label, deduction.amount);
+  });
+
+  // Earnings taxed this pay period are layered on top of basic pay one at a time,
+  // so each item's extra tax is the PAYE it adds on top of the items before it.
+  let paidThisMonth = grossPay;
+  let payeSoFar = calculatePeriodPAYE(params).paye;
+  const valuedEarnings = earnings.map((earning) => {
+    const type = EARNING_TYPES[earning.type];
+    if (type.spread) {
+      // Arrears: re-tax each month they relate to with that month's rules, an equal share per month.
+      // Those months are taxed on monthly tables whatever the current pay frequency. Contributions stay at
+      // what was charged on the original pay: none are charged on arrears, so none reduce their tax.
+      const periods = payPeriodsBetween(earning.fromPeriod, earning.toPeriod);
+      const share = earning.amount / periods.length;
+      const originalGrossPay = earning.originalGrossPay ?? (grossPay * frequency.periodsPerYear) / 12;
+      const monthlyParams = { ...params, payFrequency: 'monthly' };
+      const months = periods.map((period) => {
+        const before = calculatePeriodPAYE({ ...monthlyParams, grossPay: originalGrossPay, payPeriod: period });
+        const after = calculatePeriodPAYE({
+          ...monthlyParams,
+          grossPay: originalGrossPay + share,
+          contributionPay: originalGrossPay,
+          payPeriod: period,
+        });
+        return {
+          payPeriod: period,
+          amount: parseFloat(share.toFixed(2)),
+          extraTax: parseFloat((after.paye - before.paye).toFixed(2)),
+          ruleSet: after.ruleSet,
+        };
+      });
+      return {
+        ...earning,
+        label: type.label,
+        amount: parseFloat(earning.amount.toFixed(2)),
+        extraTax: parseFloat(months.reduce((sum, month) => sum + month.extraTax, 0).toFixed(2)),
+        months,
+      };
+    }
+
+    paidThisMonth += earning.amount;
+    const payeWithItem = calculatePeriodPAYE({ ...params, grossPay: paidThisMonth }).paye;
+    const extraTax = parseFloat((payeWithItem - payeSoFar).toFixed(2));
+    payeSoFar = payeWithItem;
+    return { ...earning, label: type.label, amount: parseFloat(earning.amount.toFixed(2)), extraTax };
+  });
+
+  const result = calculatePeriodPAYE({ ...params, grossPay: paidThisMonth });
+
+  // Arrears are paid in cash this pay period but their tax was worked out month by month above
+  const arrears = valuedEarnings.filter((earning) => EARNING_TYPES[earning.type].spread);
+  const arrearsPaid = arrears.reduce((sum, earning) => sum + earning.amount, 0);
+  const arrearsTax = arrears.reduce((sum, earning) => sum + earning.extraTax, 0);
+
+  const totals = {
+    grossPay: parseFloat((result.grossPay + arrearsPaid).toFixed(2)),
+    paye: parseFloat((result.paye + arrearsTax).toFixed(2)),
+    totalDeductions: parseFloat((result.totalDeductions + arrearsTax).toFixed(2)),
+    netPay: parseFloat((result.netPay + arrearsPaid - arrearsTax).toFixed(2)),
+  };
+
+  // Consultants are paid a fee, not wages, so the wage orders don't cover them
+  const minimumWage = occupation && params.taxStatus !== 'consultant'
+    ? checkMinimumWage({ occupation, area: wageArea, basicPay: grossPay, payPeriod: currentPeriod, payFrequency })
+    : null;
+
+  // Post-tax deductions in priority order (stable, so equal priorities keep the order entered),
+  // each honoured only as far as it keeps take-home pay at the legal minimum
+  const rules = getTaxRules(currentPeriod);
+  const minimumTakeHome = parseFloat((totals.grossPay * rules.minimumTakeHomeRatio).toFixed(2));
+  let available = Math.max(0, totals.netPay - minimumTakeHome);
+  const orderedDeductions = postTaxDeductions
+    .map((deduction) => ({ ...deduction, ...POST_TAX_DEDUCTION_TYPES[deduction.type] }))
+    .sort((a, b) => a.priority - b.priority)
+    .map(({ type, label, priority, description, amount }) => {
+      const honoured = Math.min(amount, available);
+      available -= honoured;
+      return {
+        type,
+        label: description ? `${label} (${description})` : label,
+        priority,
+        amount: parseFloat(amount.toFixed(2)),
+        honoured: parseFloat(honoured.toFixed(2)),
+        shortfall: parseFloat((amount - honoured).toFixed(2)),
+      };
+    });
+  const postTaxDeductionsTotal = parseFloat(orderedDeductions.reduce((sum, deduction) => sum + deduction.honoured, 0).toFixed(2));
+  const requestedTotal = orderedDeductions.reduce((sum, deduction) => sum + deduction.amount, 0);
+  const netPayBeforePostTax = totals.netPay;
+  totals.totalDeductions = parseFloat((totals.totalDeductions + postTaxDeductionsTotal).toFixed(2));
+  totals.netPay = parseFloat((totals.netPay - postTaxDeductionsTotal).toFixed(2));
+
+  // Same totals converted to a month, so weekly, daily and annual results can be compared with monthly ones
+  const toMonthly = (amount) => parseFloat(((amount * frequency.periodsPerYear) / 12).toFixed(2));
+
+  // Extend the trace with the tax each irregular earning added and, for arrears, the months they were taxed in
+  const trace = [...result.trace];
+  if (valuedEarnings.length > 0) {
+    trace.push({
+      title: 'Tax on Irregular Earnings',
+      lines: valuedEarnings.flatMap((earning) =>
+        earning.months
+          ? earning.months.map((month) =>
+              traceLine(`${earning.label} for ${month.payPeriod}`, month.extraTax, `${formatKsh(month.amount)} taxed under ${month.ruleSet.name}`)
+            )
+          : [traceLine(earning.label, earning.extraTax, `${formatKsh(earning.amount)} taxed with this pay period's pay`)]
+      ),
+      total: traceLine('Extra tax', valuedEarnings.reduce((sum, earning) => sum + earning.extraTax, 0)),
+    });
+  }
+  if (arrears.length > 0) {
+    trace.push({
+      title: 'Arrears Paid',
+      lines: [
+        traceLine('Net pay before arrears', result.netPay),
+        traceLine('Arrears paid', arrearsPaid),
+        traceLine('Tax on arrears', -arrearsTax, 'Worked out month by month above'),
+      ],
+      total: traceLine('Net pay', totals.netPay),
+    });
+  }
+
+  if (orderedDeductions.length > 0) {
+    trace.push({
+      title: 'Post-Tax Deductions',
+      lines: [
+        traceLine('Net pay before post-tax deductions', netPayBeforePostTax),
+        ...orderedDeductions.map((deduction) =>
+          traceLine(
+            deduction.label,
+            -deduction.honoured,
+            deduction.shortfall > 0 ? `${formatKsh(deduction.shortfall)} not deducted: take-home pay cannot go below ${formatKsh(minimumTakeHome)}` : null
+          )
+        ),
+      ],
+      total: traceLine('Take-home pay', totals.netPay),
+    });
+  }
+
+  return {
+    ...result,
+    ...totals,
+    trace,
+    basicPay: parseFloat(grossPay.toFixed(2)),
+    earnings: valuedEarnings,
+    irregularTax: parseFloat(valuedEarnings.reduce((sum, earning) => sum + earning.extraTax, 0).toFixed(2)),
+    postTaxDeductions: orderedDeductions,
+    postTaxDeductionsTotal,
+    minimumTakeHome,
+    belowMinimumTakeHome: requestedTotal > 0 && netPayBeforePostTax - requestedTotal < minimumTakeHome,
+    minimumWage,
+    costToCompany: parseFloat((result.costToCompany + arrearsPaid).toFixed(2)),
+    payFrequency: { key: payFrequency, label: frequency.label, unit: frequency.unit, periodsPerYear: frequency.periodsPerYear },
+    monthlyEquivalent: {
+      grossPay: toMonthly(totals.grossPay),
+      paye: toMonthly(totals.paye),
+      totalDeductions: toMonthly(totals.totalDeductions),
+      netPay: toMonthly(totals.netPay),
+    },
+  };
+}
+
+/**
+ * Calculates one pay period's pay for a single gross amount, without irregular earnings.
+ * Takes the same parameters as calculatePAYE, apart from `earnings`.
+ *
+ * @param {object} params - See calculatePAYE.
+ * @param {number} [params.contributionPay=grossPay] - Pay that NSSF, SHIF (or NHIF) and AHL are charged on, when it
+ *   differs from grossPay (arrears are taxed in the month they relate to, but carry no contributions there).
+ * @returns {object} See calculatePAYE.
+ */
+function calculatePeriodPAYE({
   grossPay,
   benefits,
+  benefitItems = [],
   pension,
   allowableDeductions,
+  insurancePremiums = 0,
+  mortgageInterest = 0,
+  postRetirementMedical = 0,
+  hasDisabilityExemption = false,
   housed,
-  housingType, // Not explicitly used in this logic, but passed through
+  housingType,
   housingValue,
   rent,
   ignoreBenefits,
   use2025Tiers,
   deductTier2,
   deductAHL,
+  taxStatus = 'primary',
+  payPeriod,
+  payFrequency = 'monthly',
+  contributionPay = grossPay,
 }) {
+  // Rates, bands, caps and reliefs for the pay period, pro-rated to the pay frequency (see utils/taxRules.js)
+  const periodDate = toPayPeriodDate(payPeriod);
+  const rules = prorateRules(getTaxRules(periodDate), payFrequency);
+
+  const status = TAX_STATUSES[taxStatus];
+  if (!status) {
+    throw new Error(`Unknown tax status "${taxStatus}".`);
+  }
+  // Consultants are paid a fee, not a salary: no statutory contributions from either side
+  const isEmployee = taxStatus !== 'consultant';
+  const isWithholding = taxStatus === 'casual' || taxStatus === 'consultant';
+  const getsReliefs = taxStatus === 'primary';
+
+  validateAmount('Insurance premiums', insurancePremiums);
+  validateAmount('Mortgage interest', mortgageInterest);
+  validateAmount('Post-retirement medical fund contributions', postRetirementMedical);
+
   let paye = 0;
   let nssf = 0;
-  let nhif = 0; // Social Health Insurance Fund (SHIF)
+  let shif = 0; // Social Health Insurance Fund (SHIF)
+  let nhif = 0; // National Hospital Insurance Fund, only for periods before SHIF
   let ahl = 0;
   let taxableBenefits = 0;
   let taxableIncome = 0;
@@ -43,157 +567,168 @@ export function calculatePAYE({
   let netPay = 0;
 
   // --- 1. Calculate Taxable Non-Cash Benefits ---
-  // "Value of benefit, advantage or facility in excess of the allowable limit of Kshs 5,000 per month" (Page 3)
+  // Benefits up to the rule set's benefitsExemption are tax-free (see the rule sets in utils/taxRules.js)
   if (!ignoreBenefits) { // If ignoreBenefits is false, all benefits are potentially taxable
     taxableBenefits = benefits;
-  } else { // If ignoreBenefits is true, only excess above 5000 is taxable
-    taxableBenefits = Math.max(0, benefits - 5000);
+  } else { // If ignoreBenefits is true, only excess above the exemption limit is taxable
+    taxableBenefits = Math.max(0, benefits - rules.benefitsExemption);
   }
+  const taxableOtherBenefits = taxableBenefits;
+
+  // Itemised benefits are each valued by their own rule (car, meals, utilities, school fees, loans)
+  const valuedBenefitItems = valueBenefitItems(benefitItems, rules.benefits);
+  valuedBenefitItems.forEach((item) => {
+    taxableBenefits += item.taxableValue;
+  });
 
-  // Value of Housing benefit (simplified from KRA document - if housed, it adds value)
+  // Value of Housing benefit
   // KRA says "Value of housing- where an employee is provided residential housing by the employer" is taxable.
-  // Common practice: (Value - Rent Paid) if the value is higher.
-  if (housed && housingValue > 0) {
-    taxableBenefits += Math.max(0, housingValue - rent);
+  // The value depends on the housing type (see calculateHousingBenefit), less any rent paid to the employer.
+  let housingBenefit = null;
+  if (housed) {
+    housingBenefit = calculateHousingBenefit(housingType, grossPay + taxableBenefits, housingValue, rent, rules.housing);
+    taxableBenefits += housingBenefit.value;
   }
   taxableBenefits = parseFloat(taxableBenefits.toFixed(2));
 
 
   // --- 2. Calculate NSSF Contribution ---
-  // Based on NSSF Act, 2013 phased implementation, commonly understood tiers.
-  // The provided KRA PDF does not specify NSSF rates, so this is based on common knowledge of Act 2013.
-  const NSSF_LEL = 6000;  // Lower Earning Limit
-  const NSSF_BWC = 18000; // Basic Wage Ceiling for Tier I (max for Tier I)
-  const NSSF_RATE = 0.06; // 6%
-
-  if (use2025Tiers) { // Reflects NSSF Act 2013 implementation tiers
-    // Tier I
-    const tier1Contribution = Math.min(grossPay, NSSF_LEL) * NSSF_RATE; // Up to LEL (6000)
-    nssf += tier1Contribution;
-
-    // Tier II (if deductTier2 is enabled and grossPay exceeds LEL)
-    if (deductTier2 && grossPay > NSSF_LEL) {
-      const tier2AssessablePay = Math.min(grossPay, NSSF_BWC) - NSSF_LEL;
-      const tier2Contribution = tier2AssessablePay * NSSF_RATE;
-      nssf += tier2Contribution;
-    }
-    // Note: Actual NSSF Act 2013 goes up to Tier IV (KES 3600 total contribution).
-    // This implementation simplifies to Tier I and basic Tier II cap for demo.
-    // Full implementation would need more tiers and potentially higher caps.
-  } else {
-    // Old NSSF rates (flat KES 200)
-    nssf = 200;
-  }
-  nssf = parseFloat(nssf.toFixed(2));
+  // Based on NSSF Act, 2013 phased implementation: the Lower and Upper Earnings Limits step up every February.
+  // The provided KRA PDF does not specify NSSF rates, so the limits live in the rule sets (utils/taxRules.js).
+  const nssfContribution = isEmployee
+    ? calculateNSSF(contributionPay, rules.nssf, use2025Tiers, deductTier2)
+    : { tier1: 0, tier2: 0, employerTier1: 0, employerTier2: 0 };
+  nssf = parseFloat((nssfContribution.tier1 + nssfContribution.tier2).toFixed(2));
 
 
-  // --- 3. Calculate NHIF (SHIF) Contribution ---
+  // --- 3. Calculate SHIF (or NHIF) Contribution ---
   // The KRA PDF mentions "Contributions made to the Social Health Insurance Fund (SHIF)" as an allowable deduction.
-  // It does NOT provide the actual NHIF/SHIF rates.
-  // We will reuse the NHIF bands that were in the previous code for a functional example.
-  if (grossPay <= 5999) nhif = 150;
-  else if (grossPay <= 7999) nhif = 300;
-  else if (grossPay <= 11999) nhif = 400;
-  else if (grossPay <= 14999) nhif = 500;
-  else if (grossPay <= 19999) nhif = 600;
-  else if (grossPay <= 24999) nhif = 750;
-  else if (grossPay <= 29999) nhif = 850;
-  else if (grossPay <= 34999) nhif = 900;
-  else if (grossPay <= 39999) nhif = 950;
-  else if (grossPay <= 44999) nhif = 1000;
-  else if (grossPay <= 49999) nhif = 1100;
-  else if (grossPay <= 59999) nhif = 1200;
-  else if (grossPay <= 69999) nhif = 1300;
-  else if (grossPay <= 79999) nhif = 1400;
-  else if (grossPay <= 89999) nhif = 1500;
-  else if (grossPay <= 99999) nhif = 1600;
-  else nhif = 1700;
+  // It does NOT provide the actual SHIF rates: 2.75% of gross pay with a statutory minimum (Social Health Insurance Act 2023).
+  // Pay periods before October 2024 still use the old NHIF band ladder.
+  const health = rules.health;
+  if (!isEmployee) {
+    // No health insurance contribution is deducted from a consultant's fee
+  } else if (health.scheme === 'SHIF') {
+    shif = Math.max(contributionPay * health.rate, health.minimum);
+  } else {
+    nhif = health.bands.find((band) => contributionPay <= band.upTo).amount;
+  }
+  shif = parseFloat(shif.toFixed(2));
   nhif = parseFloat(nhif.toFixed(2));
+  const healthContribution = shif + nhif; // Only one of the two is non-zero
 
 
   // --- 4. Calculate Affordable Housing Levy (AHL) ---
   // "Each employee and employer shall pay the Affordable Housing Levy at a rate of 1.5% of the employee's gross monthly salary;" (Page 5)
-  if (deductAHL) {
-    ahl = grossPay * 0.015; // 1.5% of gross pay
+  if (deductAHL && isEmployee) {
+    ahl = contributionPay * rules.ahl.rate; // 1.5% of gross pay
   }
   ahl = parseFloat(ahl.toFixed(2));
 
 
   // --- 5. Calculate Taxable Income for PAYE ---
-  // Taxable Income = Gross Pay + Taxable Benefits - Allowable Deductions
-  // Allowable deductions include: AHL, SHIF, Pension (capped)
-  let totalAllowableDeductions = allowableDeductions;
-
-  // Pension contribution is allowable up to Kshs 30,000 per month (Page 3)
-  const allowablePension = Math.min(pension, 30000);
-  totalAllowableDeductions += allowablePension;
-
-  // AHL is an allowable deduction (Page 4)
-  totalAllowableDeductions += ahl;
-
-  // SHIF (NHIF) is an allowable deduction (Page 4)
-  totalAllowableDeductions += nhif;
-
-  // Basic taxable income before applying any allowable deductions specific to PAYE calculation
-  taxableIncome = grossPay + taxableBenefits;
-
-  // Deduct from taxable income only the *allowable* portions.
-  // NSSF is also deductible, but often handled as part of taxable income calculation for PAYE.
-  // The KRA PDF states NSSF is generally deductible from total income before PAYE.
-  taxableIncome -= nssf; // NSSF is an allowable deduction for PAYE purposes.
-
-  taxableIncome -= allowableDeductions; // Other user-provided allowable deductions
-  taxableIncome -= pension; // Pension itself is deducted, but limited by KRA rule as 'allowablePension' for TI calculation.
-                           // Here, 'pension' is the full amount the user input, which is also a cash deduction.
-                           // Re-evaluate how pension affects TI and totalDeductions to avoid double counting.
-                           // For now, let's treat pension as a deduction from gross, *and* its allowable portion reduces TI.
-
-  // The KRA PDF (Page 4) states: "Amounts deductible in determining the taxable employment income shall include:
-  // 2. Amount deducted as Affordable Housing Levy... 4. Contributions made to the Social Health Insurance Fund (SHIF)."
-  // And "Contributions made to a registered pension or provident fund or a registered individual retirement fund up to a limit of Kshs. 30,000 per month."
-  // So, AHL, SHIF, and the *allowable part* of pension directly reduce the income subject to PAYE.
-
-  // Let's re-calculate taxableIncome more carefully based on KRA structure:
-  // Taxable Income = Gross Pay + Taxable Benefits - (Allowable Pension) - (Allowable Mortgage) - (Allowable Post-Retirement Med) - AHL - SHIF - NSSF
-  // Since only `pension` and `allowableDeductions` are inputs apart from standard statutory ones:
+  // Taxable Income = Gross Pay + Taxable Benefits - NSSF - Allowable Pension - Allowable Mortgage Interest
+  //   - Allowable Post-Retirement Medical - SHIF - AHL (the last two where deductible) - Other Allowable Deductions.
+  // Pension, mortgage interest and the medical fund are deductible up to the caps of the rule set in force
+  // (rules.pensionCap etc.); the excess is reported as disallowed. Pension is still deducted from pay in full.
+  const pensionClaim = capClaim('pension', 'Pension Contribution', 'deduction', pension, rules.pensionCap);
+  const mortgageClaim = capClaim('mortgageInterest', 'Mortgage Interest', 'deduction', mortgageInterest, rules.mortgageInterestCap);
+  const medicalFundClaim = capClaim(
+    'postRetirementMedical',
+    'Post-Retirement Medical Fund',
+    'deduction',
+    postRetirementMedical,
+    rules.postRetirementMedicalCap
+  );
+  const otherDeductionsClaim = capClaim('allowableDeductions', 'Other Allowable Deductions', 'deduction', allowableDeductions, null);
 
   let incomeSubjectToPAYE = grossPay + taxableBenefits;
-  incomeSubjectToPAYE -= Math.min(pension, 30000); // Allowable pension deduction
+  incomeSubjectToPAYE -= pensionClaim.allowed; // Pension contribution, up to its cap
+  incomeSubjectToPAYE -= mortgageClaim.allowed; // Mortgage interest, up to its cap
+  incomeSubjectToPAYE -= medicalFundClaim.allowed; // Post-retirement medical fund, up to its cap
   incomeSubjectToPAYE -= nssf; // NSSF is an allowable deduction for PAYE
-  incomeSubjectToPAYE -= nhif; // SHIF is an allowable deduction for PAYE
-  incomeSubjectToPAYE -= ahl;  // AHL is an allowable deduction for PAYE
+  // SHIF and AHL only became deductible with the Tax Laws (Amendment) Act 2024
+  if (health.deductible) incomeSubjectToPAYE -= healthContribution; // SHIF is an allowable deduction for PAYE
+  if (rules.ahl.deductible) incomeSubjectToPAYE -= ahl;  // AHL is an allowable deduction for PAYE
   incomeSubjectToPAYE -= allowableDeductions; // Other user-specified allowable deductions
 
+  incomeSubjectToPAYE = Math.max(0, incomeSubjectToPAYE); // Ensure taxable income is not negative
+
+  // Disability exemption certificate: income up to rules.disabilityExemption a month is exempt
+  const disabilityClaim = hasDisabilityExemption
+    ? capClaim(
+        'disabilityExemption',
+        'Disability Exemption',
+        'exemption',
+        Math.min(incomeSubjectToPAYE, rules.disabilityExemption),
+        rules.disabilityExemption
+      )
+    : null;
+  if (disabilityClaim) incomeSubjectToPAYE -= disabilityClaim.allowed;
+
   taxableIncome = Math.max(0, incomeSubjectToPAYE); // Ensure taxable income is not negative
   taxableIncome = parseFloat(taxableIncome.toFixed(2));
 
 
   // --- 6. Calculate PAYE ---
-  // Based on Finance Act 2023 (effective 1st July, 2023) Tax Bands (Page 3)
-  const KRA_MONTHLY_RELIEF = 2400.00;
-  let taxBeforeRelief = 0;
-
-  if (taxableIncome <= 24000) {
-    taxBeforeRelief = taxableIncome * 0.10;
-  } else if (taxableIncome <= 32333) { // 24000 + 8333
-    taxBeforeRelief = (24000 * 0.10) + ((taxableIncome - 24000) * 0.25);
-  } else if (taxableIncome <= 500000) { // 32333 + 467667
-    taxBeforeRelief = (24000 * 0.10) + (8333 * 0.25) + ((taxableIncome - 32333) * 0.30);
-  } else if (taxableIncome <= 800000) { // 500000 + 300000
-    taxBeforeRelief = (24000 * 0.10) + (8333 * 0.25) + (467667 * 0.30) + ((taxableIncome - 500000) * 0.325);
-  } else { // Above 800,000
-    taxBeforeRelief = (24000 * 0.10) + (8333 * 0.25) + (467667 * 0.30) + (300000 * 0.325) + ((taxableIncome - 800000) * 0.35);
-  }
-
-  paye = Math.max(0, taxBeforeRelief - KRA_MONTHLY_RELIEF);
+  // Tax bands of the rule set in force, e.g. Finance Act 2023 (effective 1st July, 2023) Tax Bands (Page 3)
+  // Only primary employment gets personal and insurance relief (see TAX_STATUSES)
+  const KRA_MONTHLY_RELIEF = getsReliefs ? rules.paye.personalRelief : 0;
+  let taxBeforeRelief;
+  if (isWithholding) {
+    // Withholding tax is charged on the cash paid; employment deductions and reliefs don't apply
+    taxableIncome = parseFloat(grossPay.toFixed(2));
+    taxBeforeRelief = grossPay >= rules.withholding.monthlyThreshold ? grossPay * rules.withholding.rate : 0;
+  } else if (taxStatus === 'nonResident') {
+    taxBeforeRelief = taxableIncome * rules.paye.nonResidentRate;
+  } else {
+    taxBeforeRelief = calculateBandTax(taxableIncome, rules.paye.bands);
+  }
+
+  // Insurance relief: a percentage of premiums paid, capped per month
+  const { rate: insuranceReliefRate, monthlyCap: insuranceReliefCap } = rules.paye.insuranceRelief;
+  const insuranceClaim = capClaim(
+    'insuranceRelief',
+    'Insurance Relief',
+    'relief',
+    getsReliefs ? insurancePremiums * insuranceReliefRate : 0,
+    insuranceReliefCap
+  );
+
+  // Reliefs only reduce tax to nil: record the part of each actually used, personal relief first
+  const personalReliefUsed = parseFloat(Math.min(KRA_MONTHLY_RELIEF, taxBeforeRelief).toFixed(2));
+  const insuranceRelief = parseFloat(Math.min(insuranceClaim.allowed, taxBeforeRelief - personalReliefUsed).toFixed(2));
+  const personalReliefClaim = {
+    ...capClaim('personalRelief', 'Personal Relief', 'relief', KRA_MONTHLY_RELIEF, null),
+    allowed: personalReliefUsed,
+    disallowed: parseFloat((KRA_MONTHLY_RELIEF - personalReliefUsed).toFixed(2)),
+  };
+  const insuranceReliefClaim = {
+    ...insuranceClaim,
+    allowed: insuranceRelief,
+    disallowed: parseFloat((insuranceClaim.claimed - insuranceRelief).toFixed(2)),
+  };
+
+  paye = Math.max(0, taxBeforeRelief - personalReliefUsed - insuranceRelief);
   paye = parseFloat(paye.toFixed(2));
 
+  // Every relief and deduction applied, in the order they were applied (none under withholding tax)
+  const reliefsAndDeductions = isWithholding ? [] : [
+    pensionClaim,
+    mortgageClaim,
+    medicalFundClaim,
+    otherDeductionsClaim,
+    disabilityClaim,
+    personalReliefClaim,
+    insuranceReliefClaim,
+  ].filter((claim) => claim && claim.claimed > 0);
+
 
   // --- 7. Calculate Total Deductions from Gross Pay ---
   // This sums up all the cash deductions that reduce the take-home pay.
   // Note: pension and allowableDeductions are already used to reduce taxableIncome,
   // but they are also cash deductions from the gross pay.
-  totalDeductions = paye + nssf + nhif + ahl + pension + allowableDeductions;
+  totalDeductions = paye + nssf + healthContribution + ahl + pension + allowableDeductions;
   totalDeductions = parseFloat(totalDeductions.toFixed(2));
 
 
@@ -202,6 +737,128 @@ export function calculatePAYE({
   netPay = parseFloat(netPay.toFixed(2));
 
 
+  // --- 9. Calculate Employer Statutory Costs ---
+  // The employer matches NSSF (per tier) and AHL, and pays the NITA levy for each employee.
+  // Fringe benefit tax on low-interest staff loans is also borne by the employer.
+  // These are paid on top of gross pay and are not deducted from the employee.
+  const employerAhl = deductAHL && isEmployee ? parseFloat((contributionPay * rules.ahl.employerRate).toFixed(2)) : 0;
+  const employerNssf = parseFloat((nssfContribution.employerTier1 + nssfContribution.employerTier2).toFixed(2));
+  const fringeBenefitTax = parseFloat(
+    valuedBenefitItems.reduce((sum, item) => sum + (item.fringeBenefitTax || 0), 0).toFixed(2)
+  );
+  const nitaLevy = isEmployee ? rules.nitaLevy : 0;
+  const employerCost = {
+    nssfTier1: nssfContribution.employerTier1,
+    nssfTier2: nssfContribution.employerTier2,
+    nssf: employerNssf,
+    ahl: employerAhl,
+    nita: nitaLevy,
+    fringeBenefitTax: fringeBenefitTax,
+    total: parseFloat((employerNssf + employerAhl + nitaLevy + fringeBenefitTax).toFixed(2)),
+  };
+  // Cost to company = cash gross pay + employer statutory costs (non-cash benefits are budgeted separately)
+  const costToCompany = parseFloat((grossPay + employerCost.total).toFixed(2));
+
+
+  // --- 10. Build the Calculation Trace ---
+  // Every step above as { title, lines, total } for the "How was this calculated?" section.
+  // Amounts that reduce the running figure are negative.
+  const claimDetail = (claim) =>
+    claim.disallowed > 0 ? `Claimed ${formatKsh(claim.claimed)}, capped at ${formatKsh(claim.cap)}` : null;
+
+  const taxablePaySteps = isWithholding
+    ? [traceLine('Cash paid', grossPay, 'Withholding tax is charged on the cash paid, with no deductions.')]
+    : [
+        traceLine('Gross pay', grossPay),
+        benefits > 0 && traceLine(
+          'Other non-cash benefits',
+          taxableOtherBenefits,
+          ignoreBenefits ? `${formatKsh(benefits)} less the ${formatKsh(rules.benefitsExemption)} exemption` : 'Taxed in full'
+        ),
+        ...valuedBenefitItems.map((item) => traceLine(item.label, item.taxableValue, item.explanation)),
+        housingBenefit && traceLine(`Housing benefit (${housingBenefit.housingTypeLabel})`, housingBenefit.value, housingBenefit.explanation),
+        nssf > 0 && traceLine('NSSF', -nssf, `Tier I ${formatKsh(nssfContribution.tier1)} + Tier II ${formatKsh(nssfContribution.tier2)}`),
+        health.deductible && healthContribution > 0 && traceLine(health.scheme, -healthContribution),
+        rules.ahl.deductible && ahl > 0 && traceLine('Housing levy', -ahl),
+        ...[pensionClaim, mortgageClaim, medicalFundClaim, otherDeductionsClaim, disabilityClaim]
+          .filter((claim) => claim && claim.allowed > 0)
+          .map((claim) => traceLine(claim.label, -claim.allowed, claimDetail(claim))),
+      ].filter(Boolean);
+
+  let taxSteps;
+  if (isWithholding) {
+    taxSteps = [
+      traceLine(
+        `Withholding tax at ${formatRate(rules.withholding.rate)}`,
+        taxBeforeRelief,
+        taxBeforeRelief === 0 ? `Nothing is withheld below ${formatKsh(rules.withholding.monthlyThreshold)}` : null
+      ),
+    ];
+  } else if (taxStatus === 'nonResident') {
+    taxSteps = [traceLine(`Flat rate of ${formatRate(rules.paye.nonResidentRate)}`, taxBeforeRelief, `On ${formatKsh(taxableIncome)}`)];
+  } else {
+    taxSteps = calculateBandBreakdown(taxableIncome, rules.paye.bands).map((band) =>
+      traceLine(
+        band.upTo === Infinity
+          ? `Above ${formatKsh(band.from)} at ${formatRate(band.rate)}`
+          : `${formatKsh(band.from)} to ${formatKsh(band.upTo)} at ${formatRate(band.rate)}`,
+        band.tax,
+        `${formatKsh(band.taxedAmount)} taxed`
+      )
+    );
+  }
+
+  const reliefSteps = [
+    traceLine('Tax charged', taxBeforeRelief),
+    KRA_MONTHLY_RELIEF > 0 && traceLine(
+      'Personal relief',
+      -personalReliefUsed,
+      personalReliefUsed < KRA_MONTHLY_RELIEF ? `${formatKsh(personalReliefUsed)} of ${formatKsh(KRA_MONTHLY_RELIEF)} used; relief cannot exceed the tax charged` : null
+    ),
+    insuranceRelief > 0 && traceLine(
+      'Insurance relief',
+      -insuranceRelief,
+      `${formatRate(insuranceReliefRate)} of ${formatKsh(insurancePremiums)} premiums${insuranceClaim.disallowed > 0 ? `, capped at ${formatKsh(insuranceReliefCap)}` : ''}${insuranceRelief < insuranceClaim.allowed ? '; limited to the tax left after personal relief' : ''}`
+    ),
+    !getsReliefs && !isWithholding && traceLine('No reliefs', 0, status.regime),
+  ].filter(Boolean);
+
+  const contributionSteps = isEmployee
+    ? [
+        traceLine('NSSF Tier I', nssfContribution.tier1, rules.nssf.lowerEarningsLimit === null || !use2025Tiers
+          ? 'Old flat-rate contribution'
+          : `${formatRate(rules.nssf.rate)} of pay up to ${formatKsh(rules.nssf.lowerEarningsLimit)}`),
+        traceLine('NSSF Tier II', nssfContribution.tier2, rules.nssf.lowerEarningsLimit === null || !use2025Tiers
+          ? null
+          : deductTier2
+            ? `${formatRate(rules.nssf.rate)} of pay from ${formatKsh(rules.nssf.lowerEarningsLimit)} to ${formatKsh(rules.nssf.upperEarningsLimit)}`
+            : 'Contracted out'),
+        traceLine(health.scheme, healthContribution, health.scheme === 'SHIF'
+          ? `${formatRate(health.rate)} of gross pay, minimum ${formatKsh(health.minimum)}`
+          : 'From the NHIF band for gross pay'),
+        traceLine('Housing levy', ahl, deductAHL ? `${formatRate(rules.ahl.rate)} of gross pay` : 'Not deducted'),
+      ]
+    : [traceLine('No statutory contributions', 0, status.regime)];
+
+  const netPaySteps = [
+    traceLine('Gross pay', grossPay),
+    traceLine(isWithholding ? 'Withholding tax' : 'PAYE', -paye),
+    nssf > 0 && traceLine('NSSF', -nssf),
+    healthContribution > 0 && traceLine(health.scheme, -healthContribution),
+    ahl > 0 && traceLine('Housing levy', -ahl),
+    pension > 0 && traceLine('Pension contribution', -pension, pensionClaim.disallowed > 0 ? 'Deducted in full, though only part was tax-deductible' : null),
+    allowableDeductions > 0 && traceLine('Other deductions', -allowableDeductions),
+  ].filter(Boolean);
+
+  const trace = [
+    { title: isWithholding ? 'Amount Subject to Withholding' : 'Taxable Pay', lines: taxablePaySteps, total: traceLine('Taxable pay', taxableIncome) },
+    { title: isWithholding ? 'Withholding Tax' : 'Tax on Taxable Pay', lines: taxSteps, total: traceLine('Tax charged', taxBeforeRelief) },
+    { title: 'Reliefs', lines: reliefSteps, total: traceLine(isWithholding ? 'Withholding tax' : 'PAYE', paye) },
+    { title: 'Statutory Contributions', lines: contributionSteps, total: traceLine('Total contributions', nssf + healthContribution + ahl) },
+    { title: 'Net Pay', lines: netPaySteps, total: traceLine('Net pay', netPay) },
+  ];
+
+
   // Return all relevant calculated values
   return {
     grossPay: parseFloat(grossPay.toFixed(2)),
@@ -211,14 +868,93 @@ export function calculatePAYE({
     housed,
     housingValue: parseFloat(housingValue.toFixed(2)),
     rent: parseFloat(rent.toFixed(2)),
+    benefitItems: valuedBenefitItems,
+    housingBenefit: housingBenefit,
     taxableBenefits: taxableBenefits, // Added for potential display
     taxableIncome: taxableIncome,
+    taxBeforeRelief: parseFloat(taxBeforeRelief.toFixed(2)),
     paye: paye,
     nssf: nssf,
-    nhif: nhif, // Now represents SHIF
+    nssfTier1: nssfContribution.tier1,
+    nssfTier2: nssfContribution.tier2,
+    nssfEmployerTier1: nssfContribution.employerTier1, // Employer match, not deducted from pay
+    nssfEmployerTier2: nssfContribution.employerTier2,
+    healthScheme: health.scheme, // 'SHIF' or 'NHIF', for labelling
+    shif: shif,
+    nhif: nhif,
     ahl: ahl,
     totalDeductions: totalDeductions,
     netPay: netPay,
-    personalReliefUsed: KRA_MONTHLY_RELIEF, // For display on results screen
+    personalReliefUsed: personalReliefUsed, // Relief actually applied, at most the tax charged
+    insuranceRelief: insuranceRelief,
+    reliefsAndDeductions: reliefsAndDeductions,
+    employerCost: employerCost,
+    costToCompany: costToCompany,
+    payPeriod: formatPayPeriod(periodDate),
+    ruleSet: { id: rules.id, name: rules.name, effectiveFrom: rules.effectiveFrom },
+    taxRegime: { status: taxStatus, label: status.label, description: status.regime },
+    trace: trace,
+  };
+}
+
+/**
+ * Gross-up: finds the gross monthly salary that produces a target net pay.
+ *
+ * Net pay mostly rises with gross pay, so the gross is found by bisection over calculatePAYE
+ * under the same toggles. The search narrows to the cent. Where net pay jumps (e.g. where withholding
+ * tax starts on the whole payment) some targets cannot be hit exactly; the result then says so and
+ * gives the net pay just below and just above the jump.
+ *
+ * @param {number} targetNetPay - Desired take-home pay.
+ * @param {object} params - Same parameters as calculatePAYE, without grossPay.
+ * @returns {object} The calculatePAYE result for the solved gross, plus targetNetPay, targetReached and
+ *   netPayGap: null when the net pay is within a cent of the target, otherwise
+ *   {grossBelow, netBelow, grossAbove, netAbove}, the nearest reachable net pay either side of the target.
+ * @throws {Error} If no gross pay can reach the target.
+ */
+export function calculateGrossFromNet(targetNetPay, params) {
+  const netFor = (grossPay) => calculatePAYE({ ...params, grossPay }).netPay;
+
+  let low = 0;
+  let high = Math.max(targetNetPay, 1000);
+
+  // Widen the upper bound until it yields at least the target net pay
+  while (netFor(high) < targetNetPay) {
+    high *= 2;
+    if (high > 1e12) {
+      throw new Error('Target net pay cannot be reached with the given deductions.');
+    }
+  }
+
+  while (high - low > 0.005) {
+    const mid = (low + high) / 2;
+    if (netFor(mid) < targetNetPay) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  // Round up to the cent so the solved gross never falls short of the target
+  const grossPay = Math.ceil(high * 100) / 100;
+  const result = calculatePAYE({ ...params, grossPay });
+
+  // Net pay jumped past the target between two gross amounts a cent apart: report both sides of the jump
+  let netPayGap = null;
+  if (result.netPay - targetNetPay > 0.01) {
+    const grossBelow = parseFloat((grossPay - 0.01).toFixed(2));
+    netPayGap = {
+      grossBelow,
+      netBelow: grossBelow > 0 ? netFor(grossBelow) : 0,
+      grossAbove: grossPay,
+      netAbove: result.netPay,
+    };
+  }
+
+  return {
+    ...result,
+    targetNetPay: parseFloat(targetNetPay.toFixed(2)),
+    targetReached: netPayGap === null,
+    netPayGap,
   };
 }
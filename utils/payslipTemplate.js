@@ -0,0 +1,204 @@
+// utils/payslipTemplate.js
+
+/**
+ * Payslip layout used by the Print button on the result screen.
+ *
+ * Edit PAYSLIP_CONFIG to brand payslips with your company header and logo. The HTML in
+ * PAYSLIP_HTML_TEMPLATE can be restyled freely as long as the {{placeholders}} are kept;
+ * buildPayslipHtml fills them from a calculatePAYE result.
+ */
+export const PAYSLIP_CONFIG = {
+  companyName: 'Your Company Ltd',
+  companyAddress: 'P.O. Box 00000-00100, Nairobi',
+  companyPin: '', // KRA PIN shown under the address when set
+  logoUri: '', // https:// or data:image/png;base64,... URI; leave empty for no logo
+  accentColor: '#007bff',
+  footerNote: 'This is a computer-generated payslip and does not require a signature.',
+};
+
+export const PAYSLIP_HTML_TEMPLATE = `
+<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8" />
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #333; margin: 32px; }
+  .header { display: flex; align-items: center; border-bottom: 3px solid {{accentColor}}; padding-bottom: 12px; }
+  .header img { max-height: 64px; margin-right: 16px; }
+  .company { font-size: 22px; font-weight: bold; color: {{accentColor}}; }
+  .muted { color: #777; font-size: 12px; }
+  h2 { font-size: 18px; margin: 20px 0 8px; }
+  .details td { padding: 2px 12px 2px 0; font-size: 13px; }
+  table.lines { width: 100%; border-collapse: collapse; margin-bottom: 12px; }
+  table.lines th { text-align: left; background: #f0f4f8; padding: 6px; font-size: 13px; }
+  table.lines td { padding: 6px; border-bottom: 1px solid #eee; font-size: 13px; }
+  table.lines td.amount, table.lines th.amount { text-align: right; }
+  tr.total td { font-weight: bold; border-top: 2px solid #ddd; }
+  .note { font-size: 12px; color: #777; margin: -6px 0 12px; }
+  .net { font-size: 20px; font-weight: bold; color: {{accentColor}}; text-align: right; margin-top: 16px; }
+  .footer { margin-top: 32px; font-size: 11px; color: #999; text-align: center; }
+</style>
+</head>
+<body>
+  <div class="header">
+    {{logo}}
+    <div>
+      <div class="company">{{employerName}}</div>
+      <div class="muted">{{companyAddress}}</div>
+      <div class="muted">{{companyPin}}</div>
+    </div>
+  </div>
+
+  <h2>PAYSLIP</h2>
+  <table class="details">
+    <tr><td><b>Employee</b></td><td>{{employeeName}}</td></tr>
+    <tr><td><b>Pay Period</b></td><td>{{payPeriod}}</td></tr>
+    <tr><td><b>Rules Applied</b></td><td>{{ruleSet}}</td></tr>
+    <tr><td><b>Tax Status</b></td><td>{{taxStatus}}</td></tr>
+    <tr><td><b>Pay Frequency</b></td><td>{{payFrequency}}</td></tr>
+  </table>
+
+  <h2>Earnings</h2>
+  <table class="lines">
+    <tr><th>Description</th><th class="amount">Ksh</th></tr>
+    {{earningsRows}}
+  </table>
+  {{benefitsSection}}
+
+  <h2>Deductions</h2>
+  <table class="lines">
+    <tr><th>Description</th><th class="amount">Ksh</th></tr>
+    {{deductionRows}}
+  </table>
+
+  <h2>Tax Computation</h2>
+  <table class="lines">
+    <tr><th>Description</th><th class="amount">Ksh</th></tr>
+    {{taxRows}}
+  </table>
+
+  <div class="net">Net Pay: Ksh {{netPay}}</div>
+
+  <div class="footer">{{footerNote}}</div>
+</body>
+</html>
+`;
+
+// Escapes text for insertion into the HTML templates (also used by the P9A card)
+export const escapeHtml = (text) =>
+  String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+export const formatAmount = (value) =>
+  (value ?? 0).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// One table row per [label, amount]; rows flagged as total are bolded.
+const renderRows = (rows) =>
+  rows
+    .map(
+      ([label, amount, isTotal]) =>
+        `<tr${isTotal ? ' class="total"' : ''}><td>${escapeHtml(label)}</td><td class="amount">${formatAmount(amount)}</td></tr>`
+    )
+    .join('\n');
+
+/**
+ * Fills {{placeholders}} in a template. Unknown placeholders are left empty.
+ *
+ * @param {string} template - HTML with {{name}} placeholders.
+ * @param {object} values - Placeholder values (already HTML-safe).
+ * @returns {string} The rendered HTML.
+ */
+export function renderTemplate(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? '');
+}
+
+/**
+ * Builds the payslip HTML for a calculation result.
+ *
+ * @param {object} result - A calculatePAYE result (or history entry).
+ * @param {object} details - Payslip details entered by the user.
+ * @param {string} [details.employerName] - Employer name; defaults to the configured company name.
+ * @param {string} [details.employeeName] - Employee name.
+ * @param {object} [config] - Branding overrides; defaults to PAYSLIP_CONFIG.
+ * @param {string} [template] - HTML template; defaults to PAYSLIP_HTML_TEMPLATE.
+ * @returns {string} HTML ready for expo-print.
+ */
+export function buildPayslipHtml(result, { employerName, employeeName } = {}, config = PAYSLIP_CONFIG, template = PAYSLIP_HTML_TEMPLATE) {
+  const healthLabel = result.healthScheme || 'NHIF';
+  const healthContribution = result.healthScheme === 'SHIF' ? result.shif : result.nhif;
+  const taxLabel = ['casual', 'consultant'].includes(result.taxRegime?.status) ? 'Withholding Tax' : 'PAYE';
+
+  // Itemise irregular earnings under basic pay when there are any
+  const earnings = [
+    ...(result.earnings && result.earnings.length > 0
+      ? [['Basic Pay', result.basicPay], ...result.earnings.map((earning) => [earning.label, earning.amount])]
+      : [['Basic / Gross Pay', result.grossPay]]),
+    ['Total Earnings', result.grossPay, true],
+  ];
+
+  // Non-cash benefits are taxed but not paid, so they are shown apart from the earnings that net pay is paid from
+  const benefitsSection = result.taxableBenefits > 0
+    ? `<h2>Non-Cash Benefits</h2>
+  <table class="lines">
+    <tr><th>Description</th><th class="amount">Ksh</th></tr>
+    ${renderRows([['Taxable Value of Benefits', result.taxableBenefits, true]])}
+  </table>
+  <div class="note">Added to taxable pay only; not included in earnings or net pay.</div>`
+    : '';
+
+  // Older history entries only carry the combined NSSF figure
+  const nssfRows = result.nssfTier1 !== undefined
+    ? [['NSSF Tier I', result.nssfTier1], ['NSSF Tier II', result.nssfTier2]]
+    : [['NSSF', result.nssf]];
+
+  const deductions = [
+    [taxLabel, result.paye],
+    ...nssfRows,
+    [healthLabel, healthContribution],
+    ['Housing Levy (AHL)', result.ahl],
+    ...(result.pension > 0 ? [['Pension Contribution', result.pension]] : []),
+    ...(result.allowableDeductions > 0 ? [['Other Deductions', result.allowableDeductions]] : []),
+    ...(result.postTaxDeductions || [])
+      .filter((deduction) => deduction.honoured > 0)
+      .map((deduction) => [deduction.label, deduction.honoured]),
+    ['Total Deductions', result.totalDeductions, true],
+  ];
+
+  // Deductions and exemptions claimed against taxable pay (pension is listed under deductions above)
+  const taxDeductions = (result.reliefsAndDeductions || [])
+    .filter((item) => item.kind !== 'relief' && item.key !== 'pension' && item.key !== 'allowableDeductions')
+    .map((item) => [item.label, item.allowed]);
+
+  const taxComputation = [
+    ...taxDeductions,
+    ['Taxable Pay', result.taxableIncome],
+    // Older history entries did not record tax before relief
+    ...(result.taxBeforeRelief !== undefined ? [['Tax Charged', result.taxBeforeRelief]] : []),
+    ['Personal Relief', result.personalReliefUsed ?? 2400],
+    ...(result.insuranceRelief > 0 ? [['Insurance Relief', result.insuranceRelief]] : []),
+    [taxLabel, result.paye, true],
+  ];
+
+  return renderTemplate(template, {
+    accentColor: escapeHtml(config.accentColor),
+    logo: config.logoUri ? `<img src="${escapeHtml(config.logoUri)}" />` : '',
+    employerName: escapeHtml(employerName || config.companyName),
+    companyAddress: escapeHtml(config.companyAddress),
+    companyPin: config.companyPin ? `PIN: ${escapeHtml(config.companyPin)}` : '',
+    employeeName: escapeHtml(employeeName || result.label || '—'),
+    payPeriod: escapeHtml(result.payPeriod || new Date(result.timestamp || Date.now()).toISOString().slice(0, 7)),
+    ruleSet: escapeHtml(result.ruleSet ? result.ruleSet.name : '—'),
+    // Entries saved before tax statuses were all primary employment
+    taxStatus: escapeHtml(result.taxRegime ? result.taxRegime.label : 'Primary Employment'),
+    payFrequency: escapeHtml(result.payFrequency ? result.payFrequency.label : 'Monthly'),
+    earningsRows: renderRows(earnings),
+    benefitsSection,
+    deductionRows: renderRows(deductions),
+    taxRows: renderRows(taxComputation),
+    netPay: formatAmount(result.netPay),
+    footerNote: escapeHtml(config.footerNote),
+  });
+}
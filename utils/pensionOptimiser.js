@@ -0,0 +1,155 @@
+// utils/pensionOptimiser.js
+
+import { calculatePAYE } from './payeLogic';
+import { getTaxRules, prorateRules } from './taxRules';
+
+/**
+ * Pension contribution optimiser.
+ *
+ * Pension contributions are deducted from taxable pay up to the rule set's pension cap, so each shilling contributed
+ * saves tax at the employee's marginal rate and costs them the rest in take-home pay. The saving per shilling drops
+ * when taxable pay falls into a lower band, and stops altogether at the cap or once no PAYE is left.
+ */
+
+export const MIN_LEVELS = 2;
+export const MAX_LEVELS = 40;
+
+const round = (amount) => parseFloat(amount.toFixed(2));
+const formatRate = (rate) => `${parseFloat((rate * 100).toFixed(2))}%`;
+const formatKsh = (amount) => `Ksh ${amount.toFixed(2)}`;
+
+/**
+ * Finds the smallest contribution in [0, high] where `reached` turns true, to the shilling.
+ * `reached` must stay true for every larger contribution.
+ */
+function smallestContribution(reached, high) {
+  let low = 0;
+  while (high - low > 1) {
+    const mid = (low + high) / 2;
+    if (reached(mid)) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return Math.ceil(high);
+}
+
+/**
+ * Works out the tax saved and the take-home pay given up at a range of pension contributions.
+ *
+ * @param {object} params - calculatePAYE parameters (the calculator's inputs and toggles). Their `pension` is the
+ *   current contribution; every level replaces it.
+ * @param {object} [options]
+ * @param {number} [options.levels=20] - Evenly spaced contributions from nothing up to the cap (or the gross pay,
+ *   if lower), MIN_LEVELS to MAX_LEVELS. The milestone contributions and one level above the cap are added to them.
+ * @returns {{grossPay: number, currentPension: number, pensionCap: number, maxUsefulContribution: number,
+ *   levels: Array<{contribution: number, allowed: number, taxableIncome: number, paye: number, netPay: number,
+ *     taxSaved: number, netCost: number, savingRate: number, marginalSaving: number, result: object}>,
+ *   milestones: Array<{contribution: number, kind: 'band'|'noTax'|'cap', label: string, description: string}>,
+ *   payPeriod: string, ruleSet: object, taxRegime: object, payFrequency: object}}
+ *   taxSaved and netCost are measured against contributing nothing. savingRate is taxSaved as a share of the
+ *   contribution; marginalSaving the share of the step up from the previous level saved in tax.
+ *   maxUsefulContribution is the contribution beyond which no further tax is saved.
+ * @throws {Error} If the tax status is withholding tax, or calculatePAYE rejects the parameters.
+ */
+export function optimisePension(params, { levels = 20 } = {}) {
+  if (!Number.isInteger(levels) || levels < MIN_LEVELS || levels > MAX_LEVELS) {
+    throw new Error(`Choose between ${MIN_LEVELS} and ${MAX_LEVELS} contribution levels.`);
+  }
+
+  const calculateAt = (contribution) => calculatePAYE({ ...params, pension: contribution });
+  const base = calculateAt(0);
+  const status = base.taxRegime.status;
+  if (status === 'casual' || status === 'consultant') {
+    throw new Error('Pension contributions do not reduce withholding tax.');
+  }
+
+  const grossPay = base.basicPay;
+  const pensionCap = prorateRules(getTaxRules(base.payPeriod), base.payFrequency.key).pensionCap;
+  const ceiling = Math.min(pensionCap, grossPay);
+
+  // --- Where the saving per shilling drops or stops ---
+  const milestones = [];
+  // Once relief covers the tax, lower bands make no difference
+  const noTaxAt = base.paye > 0
+    ? smallestContribution((amount) => calculateAt(amount).paye === 0, base.taxableIncome)
+    : 0;
+  if (status === 'primary' || status === 'secondary') {
+    const { bands } = prorateRules(getTaxRules(base.payPeriod), base.payFrequency.key).paye;
+    bands.forEach((band, index) => {
+      const nextBand = bands[index + 1];
+      if (!nextBand || band.upTo >= base.taxableIncome) {
+        return;
+      }
+      const contribution = smallestContribution((amount) => calculateAt(amount).taxableIncome <= band.upTo, base.taxableIncome);
+      if (contribution < Math.min(ceiling, noTaxAt)) {
+        milestones.push({
+          contribution,
+          kind: 'band',
+          label: `Out of the ${formatRate(nextBand.rate)} band`,
+          description: `Taxable pay falls to ${formatKsh(band.upTo)}; further contributions save ${formatRate(band.rate)} at most.`,
+        });
+      }
+    });
+  }
+  if (base.paye > 0 && noTaxAt < ceiling) {
+    milestones.push({
+      contribution: noTaxAt,
+      kind: 'noTax',
+      label: 'No PAYE left',
+      description: 'Relief covers all the tax; further contributions save nothing.',
+    });
+  }
+  if (pensionCap < grossPay) {
+    milestones.push({
+      contribution: round(pensionCap),
+      kind: 'cap',
+      label: 'Pension cap',
+      description: `Contributions above ${formatKsh(pensionCap)} are not tax-deductible.`,
+    });
+  }
+  milestones.sort((a, b) => a.contribution - b.contribution);
+
+  // --- Contribution levels: an even spread, the milestones, and one step past the cap ---
+  const step = ceiling / levels;
+  const amounts = Array.from({ length: levels + 1 }, (_, index) => round(step * index));
+  milestones.forEach((milestone) => amounts.push(milestone.contribution));
+  if (pensionCap + step <= grossPay) {
+    amounts.push(round(pensionCap + step));
+  }
+  const contributions = [...new Set(amounts)].sort((a, b) => a - b);
+
+  let previous = null;
+  const levelResults = contributions.map((contribution) => {
+    const result = contribution === 0 ? base : calculateAt(contribution);
+    const taxSaved = round(base.paye - result.paye);
+    const level = {
+      contribution,
+      allowed: round(Math.min(contribution, pensionCap)),
+      taxableIncome: result.taxableIncome,
+      paye: result.paye,
+      netPay: result.netPay,
+      taxSaved,
+      netCost: round(base.netPay - result.netPay),
+      savingRate: contribution > 0 ? taxSaved / contribution : 0,
+      marginalSaving: previous ? (taxSaved - previous.taxSaved) / (contribution - previous.contribution) : 0,
+      result,
+    };
+    previous = level;
+    return level;
+  });
+
+  return {
+    grossPay,
+    currentPension: round(params.pension || 0),
+    pensionCap: round(pensionCap),
+    maxUsefulContribution: round(base.paye > 0 ? Math.min(noTaxAt, ceiling) : 0),
+    levels: levelResults,
+    milestones,
+    payPeriod: base.payPeriod,
+    ruleSet: base.ruleSet,
+    taxRegime: base.taxRegime,
+    payFrequency: base.payFrequency,
+  };
+}
@@ -0,0 +1,110 @@
+// utils/scenarioExplorer.js
+
+import { calculatePAYE } from './payeLogic';
+import { getTaxRules, prorateRules } from './taxRules';
+
+/**
+ * Salary scenarios: calculatePAYE run across a range of gross pay with everything else held fixed,
+ * for seeing how take-home pay and tax rates move as pay rises (e.g. where a raise crosses a band).
+ */
+
+export const MIN_STEPS = 2;
+export const MAX_STEPS = 60;
+
+// The marginal rate is the tax on the next Ksh 100 of gross pay, as a share of it
+const MARGINAL_STEP = 100;
+
+const round = (amount) => parseFloat(amount.toFixed(2));
+const formatRate = (rate) => `${parseFloat((rate * 100).toFixed(2))}%`;
+
+/**
+ * Finds the lowest gross pay in [low, high] whose taxable pay exceeds a band limit.
+ * Taxable pay never falls as gross pay rises, so this bisects to the shilling.
+ */
+function grossAtTaxableIncome(params, limit, low, high) {
+  const taxableFor = (grossPay) => calculatePAYE({ ...params, grossPay }).taxableIncome;
+  while (high - low > 1) {
+    const mid = (low + high) / 2;
+    if (taxableFor(mid) > limit) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return Math.ceil(high);
+}
+
+/**
+ * Calculates pay at evenly spaced gross amounts between two bounds.
+ *
+ * @param {object} params - calculatePAYE parameters other than grossPay (the calculator's current inputs and toggles).
+ * @param {object} range
+ * @param {number} range.from - Lowest gross pay, per pay period.
+ * @param {number} range.to - Highest gross pay, per pay period.
+ * @param {number} [range.steps=25] - Number of salaries to calculate, MIN_STEPS to MAX_STEPS.
+ * @returns {{points: Array<{grossPay: number, netPay: number, totalDeductions: number, paye: number,
+ *     effectiveRate: number, marginalRate: number, result: object}>,
+ *   bandBoundaries: Array<{grossPay: number, taxableIncome: number, fromRate: number, toRate: number, label: string}>,
+ *   payPeriod: string, ruleSet: object, taxRegime: object, payFrequency: object}}
+ *   effectiveRate is PAYE (or withholding tax) as a share of gross pay; marginalRate the share of the next
+ *   Ksh 100 of gross pay taken as tax. bandBoundaries are the gross pay amounts in the range where taxable pay
+ *   moves into the next tax band; there are none for flat-rate tax statuses.
+ * @throws {Error} If the range is invalid, or calculatePAYE rejects the parameters.
+ */
+export function sweepGrossPay(params, { from, to, steps = 25 }) {
+  if (typeof from !== 'number' || isNaN(from) || from <= 0) {
+    throw new Error('The lowest gross pay must be a positive number.');
+  }
+  if (typeof to !== 'number' || isNaN(to) || to <= from) {
+    throw new Error('The highest gross pay must be more than the lowest.');
+  }
+  if (!Number.isInteger(steps) || steps < MIN_STEPS || steps > MAX_STEPS) {
+    throw new Error(`Choose between ${MIN_STEPS} and ${MAX_STEPS} salaries.`);
+  }
+
+  const points = Array.from({ length: steps }, (_, index) => {
+    const grossPay = round(from + ((to - from) * index) / (steps - 1));
+    const result = calculatePAYE({ ...params, grossPay });
+    const next = calculatePAYE({ ...params, grossPay: grossPay + MARGINAL_STEP });
+    return {
+      grossPay,
+      netPay: result.netPay,
+      totalDeductions: result.totalDeductions,
+      paye: result.paye,
+      effectiveRate: result.grossPay > 0 ? result.paye / result.grossPay : 0,
+      marginalRate: Math.max(0, (next.paye - result.paye) / MARGINAL_STEP),
+      result,
+    };
+  });
+
+  const { result: first } = points[0];
+  const { result: last } = points[points.length - 1];
+
+  // Band boundaries only exist where tax follows the bands
+  const bandBoundaries = [];
+  if (first.taxRegime.status === 'primary' || first.taxRegime.status === 'secondary') {
+    const { bands } = prorateRules(getTaxRules(first.payPeriod), first.payFrequency.key).paye;
+    bands.forEach((band, index) => {
+      const nextBand = bands[index + 1];
+      if (!nextBand || band.upTo < first.taxableIncome || band.upTo >= last.taxableIncome) {
+        return;
+      }
+      bandBoundaries.push({
+        grossPay: grossAtTaxableIncome(params, band.upTo, from, to),
+        taxableIncome: round(band.upTo),
+        fromRate: band.rate,
+        toRate: nextBand.rate,
+        label: `${formatRate(band.rate)} → ${formatRate(nextBand.rate)}`,
+      });
+    });
+  }
+
+  return {
+    points,
+    bandBoundaries,
+    payPeriod: first.payPeriod,
+    ruleSet: first.ruleSet,
+    taxRegime: first.taxRegime,
+    payFrequency: first.payFrequency,
+  };
+}
@@ -0,0 +1,18 @@
+// utils/shareFile.js
+
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+
+/**
+ * Writes text to a file in the app's document directory and opens the system share sheet for it.
+ *
+ * @param {string} fileName - File name, e.g. 'NetPaySummary.txt'.
+ * @param {string} content - File contents.
+ * @param {object} [shareOptions] - Options passed to Sharing.shareAsync (e.g. mimeType, dialogTitle).
+ * @returns {Promise<void>} Resolves once the share sheet is dismissed.
+ */
+export async function shareTextFile(fileName, content, shareOptions) {
+  const fileUri = FileSystem.documentDirectory + fileName;
+  await FileSystem.writeAsStringAsync(fileUri, content, { encoding: FileSystem.EncodingType.UTF8 });
+  await Sharing.shareAsync(fileUri, shareOptions);
+}
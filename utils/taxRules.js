@@ -0,0 +1,367 @@
+// utils/taxRules.js
+
+/**
+ * Versioned statutory rule sets used by calculatePAYE.
+ *
+ * Every rate, band, cap and relief that changes with a Finance Act or an NSSF phase lives here
+ * instead of inside the calculation. Each rule set applies from its `effectiveFrom` date until the
+ * next one starts, so any pay period can be recomputed under the rules that were in force at the time.
+ *
+ * To add a new Act: append a rule set built from the previous one with only the changed values
+ * overridden, and keep the array sorted by `effectiveFrom`.
+ */
+
+// Old NHIF band ladder (gross pay upper bound -> monthly contribution), used until SHIF replaced NHIF.
+const NHIF_BANDS = [
+  { upTo: 5999, amount: 150 },
+  { upTo: 7999, amount: 300 },
+  { upTo: 11999, amount: 400 },
+  { upTo: 14999, amount: 500 },
+  { upTo: 19999, amount: 600 },
+  { upTo: 24999, amount: 750 },
+  { upTo: 29999, amount: 850 },
+  { upTo: 34999, amount: 900 },
+  { upTo: 39999, amount: 950 },
+  { upTo: 44999, amount: 1000 },
+  { upTo: 49999, amount: 1100 },
+  { upTo: 59999, amount: 1200 },
+  { upTo: 69999, amount: 1300 },
+  { upTo: 79999, amount: 1400 },
+  { upTo: 89999, amount: 1500 },
+  { upTo: 99999, amount: 1600 },
+  { upTo: Infinity, amount: 1700 },
+];
+
+// Prescribed monthly car benefit rates for saloons, hatchbacks and estates, by engine capacity.
+const CAR_PRESCRIBED_RATES = [
+  { upToCc: 1200, amount: 3600 },
+  { upToCc: 1500, amount: 4200 },
+  { upToCc: 1750, amount: 5800 },
+  { upToCc: 2000, amount: 7200 },
+  { upToCc: 3000, amount: 8600 },
+  { upToCc: Infinity, amount: 14400 },
+];
+
+// Monthly PAYE bands from January 2021 (Tax Laws (Amendment) Act 2020).
+const BANDS_2021 = [
+  { upTo: 24000, rate: 0.10 },
+  { upTo: 32333, rate: 0.25 },
+  { upTo: Infinity, rate: 0.30 },
+];
+
+// Monthly PAYE bands from 1st July 2023 (Finance Act 2023, Page 3).
+const BANDS_2023 = [
+  { upTo: 24000, rate: 0.10 },
+  { upTo: 32333, rate: 0.25 },
+  { upTo: 500000, rate: 0.30 },
+  { upTo: 800000, rate: 0.325 },
+  { upTo: Infinity, rate: 0.35 },
+];
+
+const TLAA_2020 = {
+  id: 'TLAA-2020',
+  name: 'Tax Laws (Amendment) Act 2020',
+  effectiveFrom: '2021-01-01',
+  paye: {
+    bands: BANDS_2021,
+    personalRelief: 2400,
+    // 15% of life, education and health insurance premiums, up to Kshs 5,000 a month
+    insuranceRelief: { rate: 0.15, monthlyCap: 5000 },
+    nonResidentRate: 0.30, // Non-resident employees: flat rate on taxable pay, no reliefs
+  },
+  // Withholding tax deducted instead of PAYE from casual workers and consultants
+  withholding: {
+    rate: 0.05, // Resident rate on consultancy, professional and contractual fees
+    monthlyThreshold: 24000, // Nothing is withheld on payments below this in a month
+  },
+  pensionCap: 20000, // Registered pension/provident fund contributions allowable per month
+  mortgageInterestCap: 25000, // Owner-occupied mortgage interest allowable per month (Kshs 300,000 a year)
+  postRetirementMedicalCap: 0, // Post-retirement medical fund contributions not yet deductible
+  disabilityExemption: 150000, // Monthly income exempt for holders of a disability exemption certificate
+  // Itemised non-cash benefits (see utils/benefitValuation.js)
+  benefits: {
+    carCostRate: 0.02, // 2% of the car's initial cost per month
+    carPrescribedRates: CAR_PRESCRIBED_RATES,
+    mealsExemption: 4000, // Kshs 48,000 a year
+    telephoneRate: 0.30, // 30% of telephone bills paid by the employer
+    // KRA's prescribed market interest rate for low-interest loans is published quarterly; update it here.
+    loanMarketRate: 0.13,
+    fringeBenefitTaxRate: 0.30, // Fringe benefit tax on the employer, at the corporation tax rate
+    periodsPerYear: 12, // Loan interest is annual; the benefit is taxed per pay period
+  },
+  // Income Tax Act s.5(3): value of employer-provided housing
+  housing: {
+    ordinaryRate: 0.15, // Ordinary employees and whole-time directors: higher of 15% of total income or market value
+    farmRate: 0.10, // Agricultural employees housed on a farm or plantation: 10% of total income
+  },
+  benefitsExemption: 3000, // Non-cash benefits below this are not taxable
+  // Employment Act s.19(3): deductions may not leave the employee with less than a third of their wages
+  minimumTakeHomeRatio: 1 / 3,
+  // Final dues on leaving employment (see utils/finalDues.js). Lump-sum amounts, not pro-rated to a pay frequency.
+  terminalBenefits: {
+    gratuityMaxYears: 5, // Gratuity is spread back over the years it was earned, at most five
+    severanceSpreadYears: 3, // Compensation for loss of office with no agreed term: spread over the three years after leaving
+    // Third Schedule: commuted pension or provident fund lump sums
+    pensionLumpSum: {
+      retirementTaxFree: 600000, // On retirement (or earlier through ill health)
+      taxFreePerYearOfService: 60000, // Other withdrawals: per year of membership ...
+      maxTaxFree: 600000, // ... up to this amount
+      bands: [
+        { upTo: 400000, rate: 0.10 },
+        { upTo: 800000, rate: 0.15 },
+        { upTo: 1200000, rate: 0.20 },
+        { upTo: 1600000, rate: 0.25 },
+        { upTo: Infinity, rate: 0.30 },
+      ],
+    },
+  },
+  nssf: {
+    // NSSF Act 2013: 6% from the employee and a matching 6% from the employer.
+    // Tier I covers pay up to the Lower Earnings Limit, Tier II pay between the Lower and Upper Earnings Limits.
+    rate: 0.06,
+    employerRate: 0.06,
+    // NSSF Act 2013 tiers not yet in force; only the old flat contribution applies.
+    lowerEarningsLimit: null,
+    upperEarningsLimit: null,
+    legacyFlatContribution: 200, // Old NSSF Act (Cap 258), matched by the employer
+  },
+  // Statutory health insurance: NHIF bands until the Social Health Insurance Fund took over
+  health: {
+    scheme: 'NHIF',
+    bands: NHIF_BANDS,
+    deductible: false,
+  },
+  ahl: {
+    rate: 0, // Affordable Housing Levy not yet introduced
+    employerRate: 0,
+    deductible: false,
+  },
+  // National Industrial Training Authority levy, paid by the employer per employee per month (Industrial Training Act)
+  nitaLevy: 50,
+};
+
+// NSSF Act 2013 Year 1 after the Court of Appeal ruling (February 2023).
+const NSSF_YEAR_1 = {
+  ...TLAA_2020,
+  id: 'NSSF-2013-Y1',
+  name: 'NSSF Act 2013 (Year 1)',
+  effectiveFrom: '2023-02-01',
+  nssf: { ...TLAA_2020.nssf, lowerEarningsLimit: 6000, upperEarningsLimit: 18000 },
+};
+
+const FA_2023 = {
+  ...NSSF_YEAR_1,
+  id: 'FA-2023',
+  name: 'Finance Act 2023',
+  effectiveFrom: '2023-07-01',
+  paye: { ...NSSF_YEAR_1.paye, bands: BANDS_2023 },
+  // "Each employee and employer shall pay the Affordable Housing Levy at a rate of 1.5% of the employee's gross monthly salary;" (Page 5)
+  ahl: { rate: 0.015, employerRate: 0.015, deductible: false },
+};
+
+const NSSF_YEAR_2 = {
+  ...FA_2023,
+  id: 'NSSF-2013-Y2',
+  name: 'NSSF Act 2013 (Year 2)',
+  effectiveFrom: '2024-02-01',
+  nssf: { ...FA_2023.nssf, lowerEarningsLimit: 7000, upperEarningsLimit: 36000 },
+};
+
+// Social Health Insurance Act 2023: SHIF replaced NHIF from 1st October 2024.
+const SHIF_2024 = {
+  ...NSSF_YEAR_2,
+  id: 'SHIF-2024',
+  name: 'Social Health Insurance Act 2023',
+  effectiveFrom: '2024-10-01',
+  health: {
+    scheme: 'SHIF',
+    rate: 0.0275, // 2.75% of gross pay
+    minimum: 300, // Statutory minimum monthly contribution
+    deductible: false,
+  },
+};
+
+// Tax Laws (Amendment) Act 2024 commenced on 27th December 2024 and KRA applied it to December 2024 payroll.
+const TLAA_2024 = {
+  ...SHIF_2024,
+  id: 'TLAA-2024',
+  name: 'Tax Laws (Amendment) Act 2024',
+  effectiveFrom: '2024-12-01',
+  // "Contributions made to a registered pension or provident fund ... up to a limit of Kshs. 30,000 per month." (Page 3)
+  pensionCap: 30000,
+  // Mortgage interest up to Kshs 30,000 and post-retirement medical fund contributions up to Kshs 15,000 per month
+  mortgageInterestCap: 30000,
+  postRetirementMedicalCap: 15000,
+  // Employer-provided meals exempt up to Kshs 5,000 per month
+  benefits: { ...SHIF_2024.benefits, mealsExemption: 5000 },
+  // "Value of benefit, advantage or facility in excess of the allowable limit of Kshs 5,000 per month" (Page 3)
+  benefitsExemption: 5000,
+  // AHL and SHIF become deductible in determining taxable employment income (Page 4)
+  health: { ...SHIF_2024.health, deductible: true },
+  ahl: { ...SHIF_2024.ahl, deductible: true },
+};
+
+const NSSF_YEAR_3 = {
+  ...TLAA_2024,
+  id: 'NSSF-2013-Y3',
+  name: 'NSSF Act 2013 (Year 3)',
+  effectiveFrom: '2025-02-01',
+  nssf: { ...TLAA_2024.nssf, lowerEarningsLimit: 8000, upperEarningsLimit: 72000 },
+};
+
+// Year 4 limits announced by NSSF for February 2026.
+const NSSF_YEAR_4 = {
+  ...NSSF_YEAR_3,
+  id: 'NSSF-2013-Y4',
+  name: 'NSSF Act 2013 (Year 4)',
+  effectiveFrom: '2026-02-01',
+  nssf: { ...NSSF_YEAR_3.nssf, lowerEarningsLimit: 9000, upperEarningsLimit: 108000 },
+};
+
+/**
+ * All known rule sets, oldest first.
+ */
+export const TAX_RULE_SETS = [
+  TLAA_2020,
+  NSSF_YEAR_1,
+  FA_2023,
+  NSSF_YEAR_2,
+  SHIF_2024,
+  TLAA_2024,
+  NSSF_YEAR_3,
+  NSSF_YEAR_4,
+];
+
+/**
+ * Normalises a pay period into a Date at the start of that day.
+ *
+ * @param {Date|string} [payPeriod] - A Date, or an ISO string such as '2024-03' or '2024-03-31'. Defaults to today.
+ * @returns {Date} The pay-period date.
+ * @throws {Error} If the value cannot be read as a date.
+ */
+export function toPayPeriodDate(payPeriod) {
+  if (payPeriod === undefined || payPeriod === null || payPeriod === '') {
+    return new Date();
+  }
+  if (payPeriod instanceof Date) {
+    return payPeriod;
+  }
+
+  // 'YYYY-MM' is read as the first day of that month.
+  const match = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/.exec(String(payPeriod).trim());
+  if (!match) {
+    throw new Error(`Invalid pay period "${payPeriod}". Use YYYY-MM or YYYY-MM-DD.`);
+  }
+  const [, year, month, day = '01'] = match;
+  const date = new Date(Number(year), Number(month) - 1, Number(day));
+  if (date.getMonth() !== Number(month) - 1) {
+    throw new Error(`Invalid pay period "${payPeriod}". Use YYYY-MM or YYYY-MM-DD.`);
+  }
+  return date;
+}
+
+/**
+ * Formats a pay-period date as 'YYYY-MM' for display and storage.
+ *
+ * @param {Date} date - The pay-period date.
+ * @returns {string} The pay period, e.g. '2025-03'.
+ */
+export function formatPayPeriod(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Picks the rule set in force on the given pay period.
+ *
+ * @param {Date|string} [payPeriod] - Pay-period date (see toPayPeriodDate). Defaults to today.
+ * @returns {object} The matching rule set from TAX_RULE_SETS.
+ * @throws {Error} If the pay period predates every known rule set.
+ */
+export function getTaxRules(payPeriod) {
+  const date = toPayPeriodDate(payPeriod);
+  let rules = null;
+
+  for (const ruleSet of TAX_RULE_SETS) {
+    if (toPayPeriodDate(ruleSet.effectiveFrom) <= date) {
+      rules = ruleSet;
+    }
+  }
+
+  if (!rules) {
+    throw new Error(
+      `No statutory rules available for ${formatPayPeriod(date)}. The earliest supported pay period is ${TAX_RULE_SETS[0].effectiveFrom}.`
+    );
+  }
+  return rules;
+}
+
+/**
+ * Pay frequencies accepted by calculatePAYE (the `payFrequency` parameter).
+ */
+export const PAY_FREQUENCIES = {
+  monthly: { label: 'Monthly', unit: 'month', periodsPerYear: 12 },
+  fortnightly: { label: 'Fortnightly', unit: 'fortnight', periodsPerYear: 26 },
+  weekly: { label: 'Weekly', unit: 'week', periodsPerYear: 52 },
+  daily: { label: 'Daily', unit: 'day', periodsPerYear: 365 },
+  annual: { label: 'Annual', unit: 'year', periodsPerYear: 1 },
+};
+
+/**
+ * Pro-rates a monthly rule set to another pay frequency.
+ *
+ * KRA's weekly, daily and annual tax tables are the monthly bands, reliefs and limits converted through
+ * their annual amount (e.g. weekly = monthly x 12 / 52). Every money amount in the rule set is scaled
+ * that way; rates are left alone. Keys named "monthly..." then hold the per-period amount.
+ *
+ * @param {object} rules - A monthly rule set from TAX_RULE_SETS.
+ * @param {string} [payFrequency='monthly'] - Key of PAY_FREQUENCIES.
+ * @returns {object} The rule set for one pay period of that frequency.
+ * @throws {Error} If the pay frequency is unknown.
+ */
+export function prorateRules(rules, payFrequency = 'monthly') {
+  const frequency = PAY_FREQUENCIES[payFrequency];
+  if (!frequency) {
+    throw new Error(`Unknown pay frequency "${payFrequency}".`);
+  }
+  if (frequency.periodsPerYear === 12) {
+    return rules;
+  }
+
+  const factor = 12 / frequency.periodsPerYear;
+  // null marks limits that are not in force and Infinity the open top band; both stay as they are
+  const scale = (amount) => (amount === null || amount === Infinity ? amount : amount * factor);
+
+  return {
+    ...rules,
+    paye: {
+      ...rules.paye,
+      bands: rules.paye.bands.map((band) => ({ ...band, upTo: scale(band.upTo) })),
+      personalRelief: scale(rules.paye.personalRelief),
+      insuranceRelief: { ...rules.paye.insuranceRelief, monthlyCap: scale(rules.paye.insuranceRelief.monthlyCap) },
+    },
+    withholding: { ...rules.withholding, monthlyThreshold: scale(rules.withholding.monthlyThreshold) },
+    pensionCap: scale(rules.pensionCap),
+    mortgageInterestCap: scale(rules.mortgageInterestCap),
+    postRetirementMedicalCap: scale(rules.postRetirementMedicalCap),
+    disabilityExemption: scale(rules.disabilityExemption),
+    benefitsExemption: scale(rules.benefitsExemption),
+    benefits: {
+      ...rules.benefits,
+      carCostRate: scale(rules.benefits.carCostRate), // A percentage of cost per month
+      carPrescribedRates: rules.benefits.carPrescribedRates.map((band) => ({ ...band, amount: scale(band.amount) })),
+      mealsExemption: scale(rules.benefits.mealsExemption),
+      periodsPerYear: frequency.periodsPerYear,
+    },
+    nssf: {
+      ...rules.nssf,
+      lowerEarningsLimit: scale(rules.nssf.lowerEarningsLimit),
+      upperEarningsLimit: scale(rules.nssf.upperEarningsLimit),
+      legacyFlatContribution: scale(rules.nssf.legacyFlatContribution),
+    },
+    health:
+      rules.health.scheme === 'SHIF'
+        ? { ...rules.health, minimum: scale(rules.health.minimum) }
+        : { ...rules.health, bands: rules.health.bands.map((band) => ({ upTo: scale(band.upTo), amount: scale(band.amount) })) },
+    nitaLevy: scale(rules.nitaLevy),
+  };
+}
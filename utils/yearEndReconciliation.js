@@ -0,0 +1,200 @@
+// utils/yearEndReconciliation.js
+
+import { calculatePAYE, calculateBandTax } from './payeLogic';
+import { getTaxRules, prorateRules } from './taxRules';
+
+/**
+ * Year-end PAYE reconciliation.
+ *
+ * PAYE is withheld month by month on monthly bands. When pay changes during the year, or a capped deduction
+ * is claimed unevenly (e.g. a 60,000 pension top-up in one month), the total withheld can differ from the tax due
+ * on the year's income. This recomputes the annual liability on the annual bands, caps and reliefs and suggests
+ * how to settle the difference in the final month's payroll.
+ */
+
+const TOLERANCE = 1; // Differences up to Ksh 1 are rounding, not an under- or over-deduction
+
+// Deductions whose monthly cap is re-applied as an annual cap
+const ANNUAL_CAPS = [
+  ['pension', 'pensionCap'],
+  ['mortgageInterest', 'mortgageInterestCap'],
+  ['postRetirementMedical', 'postRetirementMedicalCap'],
+];
+
+// Contributions whose deductibility is set by the rule set ({ deductible }), with their labels for notes
+const DEDUCTIBLE_CONTRIBUTIONS = [
+  ['health', 'health insurance contributions'],
+  ['ahl', 'housing levy contributions'],
+];
+
+const round = (amount) => parseFloat(amount.toFixed(2));
+const sumBy = (items, get) => items.reduce((sum, item) => sum + get(item), 0);
+const claimFor = (result, key) => (result.reliefsAndDeductions || []).find((item) => item.key === key);
+
+/**
+ * Reconciles a year of monthly PAYE against the annual liability.
+ *
+ * The year's taxable pay is the monthly taxable pay added up, with pension, mortgage interest and post-retirement
+ * medical contributions re-allowed against their annual caps. Tax on it uses the annual bands of the rule set in force
+ * at the end of the year. Arrears paid during the year are left out on both sides: their tax belongs to the months
+ * they relate to. When the bands, reliefs or the deductibility of contributions change during the year, a note says so.
+ *
+ * @param {Array<{params?: object, result?: object}>} months - Twelve months, each with a calculatePAYE result,
+ *   or the calculatePAYE inputs to work one out.
+ * @returns {{year: number, ruleSet: object, taxRegime: object,
+ *   months: Array<{payPeriod: string, grossPay: number, taxableIncome: number, paye: number}>,
+ *   capAdjustments: Array<{key: string, label: string, claimed: number, allowedMonthly: number, allowedAnnual: number}>,
+ *   annual: {grossPay: number, taxableIncome: number, taxCharged: number, personalRelief: number, insuranceRelief: number,
+ *     liability: number, withheld: number, difference: number},
+ *   status: 'balanced'|'underDeducted'|'overDeducted', correction: object|null, notes: Array<string>}}
+ *   difference is liability less withheld: positive when too little was deducted. correction suggests the final month's
+ *   PAYE ({payPeriod, currentPaye, suggestedPaye, adjustment, remainder}); remainder is what the final month cannot absorb.
+ * @throws {Error} If the months are not twelve monthly PAYE calculations for one employee's calendar year.
+ */
+export function reconcileYear(months) {
+  const results = months.map((month) => month.result || calculatePAYE(month.params));
+
+  if (results.length !== 12) {
+    throw new Error(`Year-end reconciliation needs twelve months (got ${results.length}).`);
+  }
+  if (results.some((result) => result.payFrequency && result.payFrequency.key !== 'monthly')) {
+    throw new Error('Year-end reconciliation works on monthly pay; enter weekly, daily or annual pay as monthly totals.');
+  }
+  const statuses = [...new Set(results.map((result) => result.taxRegime?.status || 'primary'))];
+  if (statuses.length > 1) {
+    throw new Error(`All months must have the same tax status (found ${statuses.join(', ')}).`);
+  }
+  const [taxStatus] = statuses;
+  if (taxStatus === 'casual' || taxStatus === 'consultant') {
+    throw new Error('Withholding tax is final; there is no annual PAYE liability to reconcile.');
+  }
+
+  // One result for each calendar month of one year
+  const sorted = [...results].sort((a, b) => (a.payPeriod < b.payPeriod ? -1 : 1));
+  const year = Number(sorted[0].payPeriod.slice(0, 4));
+  sorted.forEach((result, index) => {
+    const expected = `${year}-${String(index + 1).padStart(2, '0')}`;
+    if (result.payPeriod !== expected) {
+      throw new Error(`Expected one calculation for each month of ${year}; ${expected} is missing or duplicated.`);
+    }
+  });
+
+  const notes = [];
+  const finalResult = sorted[11];
+  const finalRules = getTaxRules(finalResult.payPeriod);
+  // Only a change to the PAYE bands or reliefs matters here (not, say, a new NSSF phase)
+  const payeRuleSets = sorted
+    .map((result) => getTaxRules(result.payPeriod))
+    .filter((rules) => JSON.stringify(rules.paye) !== JSON.stringify(finalRules.paye));
+  if (payeRuleSets.length > 0) {
+    const names = [...new Set(payeRuleSets.map((rules) => rules.name))];
+    notes.push(`The tax bands changed during the year (from ${names.join(', ')}); the annual bands of ${finalRules.name} are used.`);
+  }
+  // Each month's taxable pay is added up as it was taxed, so a change in which contributions are deductible
+  // (SHIF and AHL from the Tax Laws (Amendment) Act 2024) leaves the year mixing two treatments
+  const differsFromFinal = (result, key) => getTaxRules(result.payPeriod)[key].deductible !== finalRules[key].deductible;
+  const deductibilityChanges = DEDUCTIBLE_CONTRIBUTIONS.filter(([key]) => sorted.some((result) => differsFromFinal(result, key)));
+  if (deductibilityChanges.length > 0) {
+    const labels = deductibilityChanges.map(([, label]) => label).join(' and ');
+    const lastDiffering = sorted.filter((result) => deductibilityChanges.some(([key]) => differsFromFinal(result, key))).pop();
+    const wasDeductible = getTaxRules(lastDiffering.payPeriod)[deductibilityChanges[0][0]].deductible;
+    notes.push(
+      `${labels[0].toUpperCase()}${labels.slice(1)} ${wasDeductible ? 'were' : 'were not'} deductible up to ${lastDiffering.payPeriod}; ` +
+        'the taxable pay of those months is added up as it was taxed, not re-worked under the final rules.'
+    );
+  }
+  // Pro-rated to a year, so caps and reliefs named "monthly..." hold annual amounts
+  const annualRules = prorateRules(finalRules, 'annual');
+
+  const arrearsTax = (result) => sumBy((result.earnings || []).filter((earning) => earning.months), (earning) => earning.extraTax);
+  const arrearsPaid = (result) => sumBy((result.earnings || []).filter((earning) => earning.months), (earning) => earning.amount);
+
+  // Capped deductions: a claim disallowed in one month can be allowed against the annual cap
+  const capAdjustments = ANNUAL_CAPS.map(([key, capKey]) => {
+    const claims = sorted.map((result) => claimFor(result, key)).filter(Boolean);
+    const claimed = round(sumBy(claims, (claim) => claim.claimed));
+    const allowedMonthly = round(sumBy(claims, (claim) => claim.allowed));
+    const allowedAnnual = round(Math.min(claimed, annualRules[capKey]));
+    return { key, label: claims[0]?.label, claimed, allowedMonthly, allowedAnnual };
+  }).filter((adjustment) => adjustment.allowedAnnual !== adjustment.allowedMonthly);
+
+  const taxableIncome = round(Math.max(
+    0,
+    sumBy(sorted, (result) => result.taxableIncome) -
+      sumBy(capAdjustments, (adjustment) => adjustment.allowedAnnual - adjustment.allowedMonthly)
+  ));
+
+  const taxCharged = round(taxStatus === 'nonResident'
+    ? taxableIncome * annualRules.paye.nonResidentRate
+    : calculateBandTax(taxableIncome, annualRules.paye.bands));
+
+  // Personal relief due each month (the annual relief, even where a month's tax was too low to use it all);
+  // insurance relief re-capped on the year's premiums
+  const personalRelief = round(sumBy(sorted, (result) => claimFor(result, 'personalRelief')?.claimed ?? (result.personalReliefUsed || 0)));
+  const insuranceClaimed = sumBy(sorted, (result) => claimFor(result, 'insuranceRelief')?.claimed || 0);
+  const insuranceRelief = round(Math.min(insuranceClaimed, annualRules.paye.insuranceRelief.monthlyCap));
+
+  const liability = round(Math.max(0, taxCharged - personalRelief - insuranceRelief));
+  const withheld = round(sumBy(sorted, (result) => result.paye - arrearsTax(result)));
+  const arrearsTaxTotal = round(sumBy(sorted, arrearsTax));
+  if (arrearsTaxTotal > 0) {
+    notes.push(`Ksh ${arrearsTaxTotal.toFixed(2)} of tax on arrears is left out of PAYE withheld; it was worked out on the months the arrears relate to.`);
+  }
+  const difference = round(liability - withheld);
+
+  let status = 'balanced';
+  let correction = null;
+  if (Math.abs(difference) > TOLERANCE) {
+    const finalPaye = round(finalResult.paye - arrearsTax(finalResult));
+    let adjustment;
+    if (difference > 0) {
+      status = 'underDeducted';
+      // Recover the shortfall in the final month, as far as that month's net pay allows
+      adjustment = Math.min(difference, finalResult.netPay);
+    } else {
+      status = 'overDeducted';
+      // Refund through the final month, at most the PAYE that month withholds
+      adjustment = -Math.min(-difference, finalPaye);
+    }
+    adjustment = round(adjustment);
+    const remainder = round(difference - adjustment);
+    correction = {
+      payPeriod: finalResult.payPeriod,
+      currentPaye: finalPaye,
+      suggestedPaye: round(finalPaye + adjustment),
+      adjustment,
+      remainder,
+    };
+    if (remainder > 0) {
+      notes.push(`Ksh ${remainder.toFixed(2)} cannot be recovered from ${finalResult.payPeriod} pay; the employee pays it with their annual return.`);
+    } else if (remainder < 0) {
+      notes.push(`Ksh ${(-remainder).toFixed(2)} is more than ${finalResult.payPeriod} PAYE; the employee claims it back in their annual return.`);
+    }
+  }
+
+  return {
+    year,
+    ruleSet: { id: finalRules.id, name: finalRules.name, effectiveFrom: finalRules.effectiveFrom },
+    taxRegime: finalResult.taxRegime,
+    months: sorted.map((result) => ({
+      payPeriod: result.payPeriod,
+      grossPay: round(result.grossPay - arrearsPaid(result)),
+      taxableIncome: result.taxableIncome,
+      paye: round(result.paye - arrearsTax(result)),
+    })),
+    capAdjustments,
+    annual: {
+      grossPay: round(sumBy(sorted, (result) => result.grossPay - arrearsPaid(result))),
+      taxableIncome,
+      taxCharged,
+      personalRelief,
+      insuranceRelief,
+      liability,
+      withheld,
+      difference,
+    },
+    status,
+    correction,
+    notes,
+  };
+}